@@ -0,0 +1,92 @@
+import crypto from 'node:crypto';
+import { BlockedError } from './utils.js';
+import { evictCache } from './http-cache.js';
+import { reportBlocked } from './rate-limiter.js';
+
+// Recognizes pages the site serves instead of real content: bot challenges,
+// "too many requests" pages and near-empty shells, all of which may come
+// with status 200. Adapters run every page through assertNotBlocked() before
+// parsing it, and chapter bodies through assertNotCannedBody().
+//
+// A detection evicts the page from the HTTP cache, pauses the whole run for
+// a cool-down (see rate-limiter.js) and throws a BlockedError, which retry()
+// passes straight up instead of burning attempts on it.
+
+const CHALLENGE_MARKERS = [
+  // Whole-title matches, as challenge pages title them ("Just a moment...",
+  // "Attention Required! | Cloudflare"); a chapter may be "Please Wait, Sir"
+  { pattern: /<title>\s*(just a moment|attention required|please wait|checking your browser)[\s.…!]*(\|\s*cloudflare\s*)?<\/title>/i, reason: 'browser challenge' },
+  { pattern: /cf-browser-verification|cf_chl_opt|\/cdn-cgi\/challenge-platform|cf-turnstile/i, reason: 'Cloudflare challenge' },
+  { pattern: /ddos-guard|sucuri website firewall|incapsula incident id|_incapsula_resource/i, reason: 'firewall challenge' },
+  { pattern: /class="(g-recaptcha|h-captcha)"|hcaptcha\.com\/1\/api\.js|google\.com\/recaptcha\/api\.js/i, reason: 'captcha' },
+  // Whole-title matches only: a chapter may well be called "Access Denied"
+  { pattern: /<title>\s*(429\s*)?(too many requests|rate limited|access denied|403 forbidden)\s*<\/title>/i, reason: 'error page' },
+];
+
+// Real pages carry navigation, footers and so on; less visible text than
+// this is an empty shell
+const MIN_PAGE_TEXT = 150;
+
+// Chapter body hash -> Map(novel -> first URL) for recently fetched chapters.
+// Only the novels are compared: a novel repeating one of its own chapters is
+// a content problem integrity.js reports, not a block. Bounded so long
+// crawls don't grow it forever.
+const MAX_TRACKED_BODIES = 5000;
+const seenBodies = new Map();
+
+// Novels sharing one chapter body before it counts as a canned page
+const CANNED_BODY_NOVELS = 3;
+
+function visibleText(html) {
+  return html
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;|\s+/g, ' ')
+    .trim();
+}
+
+// Returns why `html` looks like a block page, or null if it looks real.
+// minText: pass 0 for fragments (AJAX responses) that are legitimately short.
+export function detectBlockPage(html, { minText = MIN_PAGE_TEXT } = {}) {
+  for (const { pattern, reason } of CHALLENGE_MARKERS) {
+    if (pattern.test(html)) return reason;
+  }
+  const textLength = visibleText(html).length;
+  if (textLength < minText) {
+    return `suspiciously small page (${textLength} characters of text)`;
+  }
+  return null;
+}
+
+function blocked(url, reason) {
+  evictCache(url);
+  reportBlocked(reason);
+  return new BlockedError(`Blocked at ${url}: ${reason}`, { url });
+}
+
+export function assertNotBlocked(html, url, options) {
+  const reason = detectBlockPage(html, options);
+  if (reason) throw blocked(url, reason);
+}
+
+// The same chapter text in several different novels means the site is
+// serving one canned page for everything. Challenge and soft-block pages
+// are caught before this, by assertNotBlocked() on the whole page.
+// `novel` is whatever identifies the book the chapter belongs to (its slug).
+export function assertNotCannedBody(content, url, novel) {
+  const hash = crypto.createHash('sha1').update(content).digest('hex');
+  const novels = seenBodies.get(hash) || new Map();
+  if (!novels.has(novel)) novels.set(novel, url);
+  seenBodies.delete(hash);
+  seenBodies.set(hash, novels);
+  if (seenBodies.size > MAX_TRACKED_BODIES) {
+    seenBodies.delete(seenBodies.keys().next().value);
+  }
+
+  const others = [...novels].filter(([key]) => key !== novel);
+  if (others.length + 1 >= CANNED_BODY_NOVELS) {
+    // The earlier copies were the canned page too
+    for (const [, otherUrl] of others) evictCache(otherUrl);
+    throw blocked(url, `same body as chapters of ${others.length} other novels`);
+  }
+}
@@ -0,0 +1,203 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as cheerio from 'cheerio';
+import { escapeXml } from './sanitize.js';
+
+// Look of the generated EPUBs (and KEPUBs): a named theme, the user's own
+// CSS appended after it (--css), and the front-matter pages, rendered from
+// the templates in src/templates/. A --templates directory overrides those
+// file by file; an empty file drops that page. The HTML format uses the
+// theme and CSS too, but has no front-matter pages.
+//
+// Templates are XHTML fragments with a small mustache-like syntax:
+//   {{field}}                  the field's value, escaped
+//   {{{field}}}                the field's value as markup; only `synopsis`
+//                              is, other fields are escaped as with {{field}}
+//   {{#field}}...{{/field}}    kept only when the field has a value
+// The fields are listed in templateFields() below. Front-matter pages must
+// not use the chapter-title class, which marks chapters (see epub-reader.js).
+
+export const DEFAULT_THEME = 'serif';
+
+const TEMPLATES_DIR = fileURLToPath(new URL('./templates/', import.meta.url));
+
+// Written in this order, between the cover and the table of contents
+const PAGES = [
+  { id: 'title-page', title: 'Title Page', type: 'titlepage' },
+  { id: 'synopsis', title: 'Synopsis', type: 'abstract' },
+  { id: 'colophon', title: 'Colophon', type: 'colophon' },
+];
+
+// Layout shared by every theme; no fonts or colours
+const BASE_CSS = `
+    h1.chapter-title {
+      page-break-before: always;
+      margin-top: 2em;
+      margin-bottom: 1em;
+      font-size: 1.4em;
+      text-align: center;
+    }
+    img { max-width: 100%; height: auto; }
+    .cover { text-align: center; }
+    .cover img { max-height: 95vh; }
+    .title-page { text-align: center; margin-top: 20%; }
+    .title-page p, .colophon p { text-indent: 0; }
+    .title-page .book-title { font-size: 2em; margin-bottom: 0.5em; }
+    .title-page .book-author { font-size: 1.3em; font-style: italic; }
+    .title-page .book-genres { font-size: 0.9em; margin-top: 2em; }
+    .synopsis h2 { text-align: center; }
+    .colophon { font-size: 0.85em; margin-top: 30%; text-align: center; }
+    .colophon .source-url { word-break: break-all; }
+`;
+
+// Fonts are not embedded; each stack falls back to what the reader has
+const THEMES = {
+  serif: `
+    body { font-family: Georgia, serif; line-height: 1.6; margin: 1em; }
+    p { text-indent: 1.5em; margin: 0.4em 0; }
+    .image-missing { font-style: italic; color: #777; }
+`,
+  sans: `
+    body { font-family: "Helvetica Neue", Helvetica, Arial, sans-serif; line-height: 1.5; margin: 1em; }
+    p { text-indent: 0; margin: 0 0 0.8em; }
+    .image-missing { font-style: italic; color: #777; }
+`,
+  // Per the British Dyslexia Association style guide: a plain sans font,
+  // generous spacing, left-aligned text and bold instead of italics
+  'dyslexia-friendly': `
+    body {
+      font-family: OpenDyslexic, Lexend, Verdana, Tahoma, sans-serif;
+      font-size: 1.1em;
+      line-height: 1.8;
+      letter-spacing: 0.05em;
+      word-spacing: 0.12em;
+      text-align: left;
+      margin: 1em;
+    }
+    p { text-indent: 0; margin: 0 0 1.2em; }
+    em, i, .title-page .book-author { font-style: normal; font-weight: bold; }
+    .image-missing { font-weight: bold; }
+`,
+  // Sets no colour or background anywhere, so readers' night modes and
+  // sepia themes apply cleanly
+  'dark-safe': `
+    body { font-family: Georgia, serif; line-height: 1.6; margin: 1em; }
+    p { text-indent: 1.5em; margin: 0.4em 0; }
+    a { color: inherit; }
+    hr { border: none; border-top: 1px solid currentColor; opacity: 0.5; }
+    .image-missing { font-style: italic; opacity: 0.7; }
+`,
+};
+
+const settings = { theme: DEFAULT_THEME, userCss: '', templates: null };
+
+export function listThemes() {
+  return Object.keys(THEMES);
+}
+
+function readTemplates(dir) {
+  if (dir && !fs.existsSync(dir)) throw new Error(`Templates directory not found: ${dir}`);
+  const templates = {};
+  for (const page of PAGES) {
+    const override = dir && path.join(dir, `${page.id}.xhtml`);
+    const file = override && fs.existsSync(override) ? override : path.join(TEMPLATES_DIR, `${page.id}.xhtml`);
+    templates[page.id] = fs.readFileSync(file, 'utf-8');
+  }
+  return templates;
+}
+
+// theme: one of listThemes(); cssFile: extra CSS appended to the theme;
+// templatesDir: directory with title-page.xhtml, synopsis.xhtml and/or
+// colophon.xhtml replacing the built-in ones. Throws on a bad value.
+export function configureBookStyle({ theme = DEFAULT_THEME, cssFile = null, templatesDir = null } = {}) {
+  const name = (theme || DEFAULT_THEME).trim().toLowerCase();
+  if (!THEMES[name]) {
+    throw new Error(`Unknown theme "${theme}". Available: ${listThemes().join(', ')}`);
+  }
+  let userCss = '';
+  if (cssFile) {
+    try {
+      userCss = fs.readFileSync(cssFile, 'utf-8');
+    } catch (err) {
+      throw new Error(`Could not read CSS from ${cssFile}: ${err.message}`);
+    }
+  }
+  settings.theme = name;
+  settings.userCss = userCss;
+  settings.templates = readTemplates(templatesDir);
+  return { theme: name, cssFile, templatesDir };
+}
+
+// `layout` is a format's own rules, placed after the theme so they win over
+// it, and before the user's CSS so that wins over both
+export function bookCss(layout = '') {
+  return `${BASE_CSS}${THEMES[settings.theme]}${layout}${settings.userCss ? `\n${settings.userCss}\n` : ''}`;
+}
+
+function templateFields(novelData, chapters) {
+  const {
+    title = 'Unknown Title',
+    author = '',
+    genres = [],
+    description = '',
+    status = '',
+    alternativeTitles = [],
+    originalPublisher = '',
+    publishedYear = '',
+    sourceUrl = '',
+    series = null,
+  } = novelData;
+
+  return {
+    title,
+    author,
+    genres: genres.join(', '),
+    status,
+    alternativeTitles: alternativeTitles.join('; '),
+    seriesName: series ? series.name : '',
+    seriesIndex: series ? String(series.index) : '',
+    description,
+    synopsis: (description || '').trim().split(/\n\s*\n/).filter(Boolean)
+      .map(para => `<p>${escapeXml(para.trim())}</p>`).join('\n'),
+    publisher: originalPublisher,
+    publishedYear: publishedYear ? String(publishedYear) : '',
+    sourceUrl,
+    sourceName: sourceUrl ? new URL(sourceUrl).hostname : '',
+    downloadDate: new Date().toISOString().slice(0, 10),
+    chapters: `${chapters.length} chapter${chapters.length === 1 ? '' : 's'}`,
+  };
+}
+
+// Fields built as markup by templateFields(), from escaped text
+const RAW_FIELDS = new Set(['synopsis']);
+
+function render(template, fields) {
+  // Sections first (nested ones on later passes), so values inserted below
+  // are never read as template syntax
+  let out = template;
+  for (;;) {
+    const next = out.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, key, inner) => (fields[key] ? inner : ''));
+    if (next === out) break;
+    out = next;
+  }
+  // Only fields in RAW_FIELDS are markup; any other {{{field}}} is escaped
+  return out.replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)\}\}/g, (_, raw, escaped) =>
+    (RAW_FIELDS.has(raw) ? fields[raw] ?? '' : escapeXml(fields[raw || escaped] ?? '')));
+}
+
+// Front-matter pages for this book: [{ id, title, type, body }], body being
+// XHTML. Pages whose template renders to nothing are left out.
+export function frontMatter(novelData, chapters) {
+  if (!settings.templates) settings.templates = readTemplates(null);
+  const fields = templateFields(novelData, chapters);
+  const pages = [];
+  for (const page of PAGES) {
+    const markup = render(settings.templates[page.id], fields).trim();
+    if (!markup) continue;
+    // Parsed as HTML, so a hand-written template still gives valid XHTML
+    const $ = cheerio.load(markup, null, false);
+    pages.push({ ...page, body: $.xml() });
+  }
+  return pages;
+}
@@ -0,0 +1,97 @@
+import fs from 'node:fs';
+import { readEpub } from './epub-reader.js';
+
+// --update: rather than skipping a novel whose EPUB already exists, reuse
+// the chapters the book holds and fetch only what it is missing, i.e.
+// chapters new to the source's chapter list and chapters the book only has
+// as a failed-download placeholder. The book is then rebuilt.
+//
+// Chapters are matched on the source URL the builder records in each one.
+// Books built before URLs were recorded are matched by position instead, as
+// long as the titles agree; a chapter whose title doesn't match is fetched
+// again. The rebuilt book records URLs, so this only happens once.
+
+// The content downloadNovel puts in for chapters that failed every retry
+export function isPlaceholder(chapter) {
+  return !chapter.content || chapter.content.includes('[Failed to fetch after retries]');
+}
+
+// Punctuation and spacing differ between the chapter list and chapter pages
+function titleKey(title) {
+  return (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function findInBook(book, byUrl, entry, index) {
+  if (byUrl.size > 0) return byUrl.get(entry.url) || null;
+  const old = book.chapters[index];
+  return old && titleKey(old.title) === titleKey(entry.title) ? old : null;
+}
+
+// Compares the book with `chapterList` ([{ title, url }]). Returns
+//   chapters   aligned with chapterList: reusable { url, title, content } or null
+//   gained     chapters the book doesn't have at all
+//   refetch    chapters it has, but that need fetching again
+//   upToDate   true when rebuilding would produce the same chapters
+export function planUpdate(book, chapterList) {
+  const byUrl = new Map(book.chapters.filter(ch => ch.url).map(ch => [ch.url, ch]));
+  let gained = 0;
+  let refetch = 0;
+
+  const chapters = chapterList.map((entry, i) => {
+    const old = findInBook(book, byUrl, entry, i);
+    if (old && !isPlaceholder(old)) {
+      return { url: entry.url, title: old.title, content: old.content };
+    }
+    // Without URLs, anything past the end of the book is new
+    if (old || (byUrl.size === 0 && i < book.chapters.length)) {
+      refetch++;
+    } else {
+      gained++;
+    }
+    return null;
+  });
+
+  const upToDate = gained === 0 && refetch === 0
+    && chapterList.length === book.chapters.length
+    && chapterList.every((entry, i) => !book.chapters[i].url || book.chapters[i].url === entry.url);
+
+  return { chapters, gained, refetch, upToDate };
+}
+
+// Reads the existing EPUB at `file` and plans its update; null when there
+// is no book yet. dispose() removes the images extracted from the book.
+export async function loadUpdatePlan(file, chapterList) {
+  if (!file || !fs.existsSync(file)) return null;
+
+  const book = await readEpub(file);
+  return {
+    file,
+    bookChapters: book.chapters.length,
+    ...planUpdate(book, chapterList),
+    dispose: () => {
+      if (book.imageDir) fs.rmSync(book.imageDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// One update summary for all of a novel's volumes, from per-volume results
+// { update: plan or null, created: chapters of a volume that had no book
+// yet }. null when no existing book was updated.
+export function combineUpdates(results) {
+  const plans = results.map(r => r.update).filter(Boolean);
+  if (plans.length === 0) return null;
+  // Volumes that didn't exist yet count as gained chapters
+  const created = results.reduce((sum, r) => sum + (r.created || 0), 0);
+  return {
+    gained: plans.reduce((sum, p) => sum + p.gained, created),
+    refetch: plans.reduce((sum, p) => sum + p.refetch, 0),
+    upToDate: created === 0 && plans.every(p => p.upToDate),
+  };
+}
+
+// e.g. "+12 chapters, 3 re-fetched"
+export function describeUpdate({ gained, refetch }) {
+  let text = `+${gained} chapter${gained === 1 ? '' : 's'}`;
+  if (refetch > 0) text += `, ${refetch} re-fetched`;
+  return text;
+}
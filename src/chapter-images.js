@@ -0,0 +1,141 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL, fileURLToPath } from 'node:url';
+import { fetchBufferWithBypass, retry } from './utils.js';
+
+// Downloads the images referenced by chapter markup into a local directory
+// and rewrites each <img src> to the local copy, so the EPUB builder embeds
+// them as manifest resources instead of leaving remote links behind.
+//
+// Chapter markup comes from remote pages, so a file: URL in it is only
+// trusted when it points into an image directory this process filled (see
+// registerImageDir); any other is treated like a failed download.
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const IMG_SRC = /<img\b([^>]*?)\ssrc="([^"]*)"([^>]*)\/>/g;
+
+const PLACEHOLDER = '<span class="image-missing">[Image unavailable]</span>';
+
+// Detect the real format from magic bytes; URLs often lie or have no extension
+export function detectImageExtension(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+  if (buffer.length >= 8 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') return 'png';
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  const head = buffer.toString('utf-8', 0, Math.min(buffer.length, 256)).trimStart();
+  if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) return 'svg';
+  return null;
+}
+
+// Directories this process downloaded or extracted images into
+const imageDirs = new Set();
+
+export function registerImageDir(dir) {
+  imageDirs.add(path.resolve(dir));
+}
+
+// The file a file: src points to, or null when it isn't one of ours
+export function localImagePath(src) {
+  if (!src || !src.startsWith('file:')) return null;
+  let file;
+  try {
+    file = path.resolve(fileURLToPath(src));
+  } catch {
+    return null;
+  }
+  for (const dir of imageDirs) {
+    const relative = path.relative(dir, file);
+    if (relative && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative)) return file;
+  }
+  return null;
+}
+
+// A local image for the writers, or null (shown as missing) when the src
+// isn't one of ours or the file can't be read
+export function readLocalImage(src) {
+  const file = localImagePath(src);
+  if (!file) return null;
+  try {
+    return fs.readFileSync(file);
+  } catch (err) {
+    console.error(`  Could not read image ${file}: ${err.message}`);
+    return null;
+  }
+}
+
+function decodeAttr(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Rewrites chapter contents in place. Returns { imageDir, stats } where
+// imageDir must be removed by the caller once the EPUB has been generated.
+export async function localizeChapterImages(chapters, { maxBytes = MAX_IMAGE_BYTES, imageDir } = {}) {
+  const stats = { found: 0, embedded: 0, failed: 0, unique: 0 };
+
+  const urls = new Set();
+  for (const ch of chapters) {
+    for (const match of (ch.content || '').matchAll(IMG_SRC)) {
+      // Already on disk, e.g. images taken from an existing book by --update
+      if (match[2].startsWith('file:')) continue;
+      urls.add(decodeAttr(match[2]));
+    }
+  }
+  // url -> local file URL, or null when the download failed
+  const localByUrl = new Map();
+  // content hash -> local file URL, so identical images are stored once
+  const localByHash = new Map();
+
+  if (urls.size > 0) {
+    fs.mkdirSync(imageDir, { recursive: true });
+    registerImageDir(imageDir);
+    console.log(`  Downloading ${urls.size} chapter image${urls.size > 1 ? 's' : ''}...`);
+  }
+
+  for (const url of urls) {
+    if (!/^https?:\/\//.test(url)) {
+      localByUrl.set(url, null);
+      continue;
+    }
+    try {
+      const buffer = await retry(() => fetchBufferWithBypass(url, { kind: 'image', maxBytes }), 2, 1000);
+      const ext = detectImageExtension(buffer);
+      if (!ext) throw new Error('not a recognized image format');
+
+      const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+      if (!localByHash.has(hash)) {
+        const filePath = path.join(imageDir, `${hash}.${ext}`);
+        fs.writeFileSync(filePath, buffer);
+        localByHash.set(hash, pathToFileURL(filePath).href);
+      }
+      localByUrl.set(url, localByHash.get(hash));
+    } catch (err) {
+      console.error(`  Failed to fetch image ${url}: ${err.message}`);
+      localByUrl.set(url, null);
+    }
+  }
+
+  for (const ch of chapters) {
+    if (!ch.content) continue;
+    ch.content = ch.content.replace(IMG_SRC, (tag, before, src, after) => {
+      // Our own copies stay; any other local path came from the page
+      if (src.startsWith('file:') && localImagePath(decodeAttr(src))) return tag;
+      stats.found++;
+      const local = localByUrl.get(decodeAttr(src));
+      if (!local) {
+        stats.failed++;
+        return PLACEHOLDER;
+      }
+      stats.embedded++;
+      return `<img${before} src="${local}"${after}/>`;
+    });
+  }
+  stats.unique = localByHash.size;
+
+  return { imageDir: urls.size > 0 ? imageDir : null, stats };
+}
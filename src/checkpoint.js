@@ -0,0 +1,86 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Per-novel work directory holding every chapter fetched so far, so an
+// interrupted download (crash, Ctrl-C, CI timeout) picks up where it left off
+// instead of starting over. Chapters are keyed by URL rather than position,
+// so a chapter list that shifted between runs still resumes correctly.
+//
+//   <workDir>/<source>/<slug>/chapters/<hash>.json   { url, title, content }
+//
+// Only successfully fetched chapters are stored, before cleanup rules run.
+// The directory is removed once the EPUB has been written.
+
+export const DEFAULT_WORK_DIR = '.cache/work';
+
+function chapterKey(url) {
+  return crypto.createHash('sha1').update(url).digest('hex');
+}
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+class ChapterCheckpoint {
+  constructor(dir) {
+    this.dir = dir;
+    this.chapterDir = path.join(dir, 'chapters');
+  }
+
+  // Returns an array aligned with `chapterList` ([{ url }]): the stored
+  // { url, title, content } for chapters already fetched, null for the rest.
+  load(chapterList) {
+    return chapterList.map((ch) => {
+      try {
+        const stored = JSON.parse(fs.readFileSync(path.join(this.chapterDir, `${chapterKey(ch.url)}.json`), 'utf-8'));
+        if (stored.url !== ch.url || !stored.content) return null;
+        return { url: ch.url, title: stored.title, content: stored.content };
+      } catch {
+        // Missing or half-written: fetch it again
+        return null;
+      }
+    });
+  }
+
+  save(url, chapter) {
+    try {
+      fs.mkdirSync(this.chapterDir, { recursive: true });
+      writeAtomic(
+        path.join(this.chapterDir, `${chapterKey(url)}.json`),
+        JSON.stringify({ url, title: chapter.title, content: chapter.content }),
+      );
+    } catch (err) {
+      // Losing resumability is not worth failing the download over
+      console.error(`  Could not checkpoint ${url}: ${err.message}`);
+    }
+  }
+
+  remove() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+}
+
+// Slugs come from URLs; keep them from escaping the work directory
+function safeSegment(value) {
+  const cleaned = String(value).replace(/[^\w.-]/g, '_');
+  return /^\.*$/.test(cleaned) ? '_' : cleaned;
+}
+
+// fresh: discard anything a previous run left behind
+export function openCheckpoint({ source, slug, workDir = DEFAULT_WORK_DIR, fresh = false }) {
+  const dir = path.join(workDir || DEFAULT_WORK_DIR, safeSegment(source), safeSegment(slug));
+  const checkpoint = new ChapterCheckpoint(dir);
+  if (fresh) checkpoint.remove();
+  return checkpoint;
+}
+
+// Validates the --resume/--fresh pair; returns true for a fresh start
+export function wantsFreshStart({ resume, fresh }) {
+  if (resume && fresh) {
+    throw new Error('--resume and --fresh are mutually exclusive');
+  }
+  return Boolean(fresh);
+}
@@ -0,0 +1,251 @@
+import fs from 'node:fs';
+
+// Content-cleanup rules applied to chapter markup between fetching and
+// building the book. Chapter content is one XHTML block per line (see
+// sanitize.js), and rules work block by block:
+//
+//   { name, type: 'line', pattern, flags?, maxLength? }
+//       drops every block whose plain text matches the regex
+//   { name, type: 'regex', pattern, flags?, replace? }
+//       replaces matches inside each block; blocks left empty are dropped
+//   { name, type: 'heading' }
+//       drops leading blocks that repeat the chapter title
+//
+// A rules file is JSON: either an array of rules, or
+//   { "presets": ["watermarks", ...], "rules": [...] }
+
+const PRESETS = {
+  watermarks: [
+    {
+      name: 'site-watermark',
+      type: 'line',
+      pattern: 'f[\\s.]*r[\\s.]*e[\\s.]*e[\\s.]*w[\\s.]*e[\\s.]*b[\\s.]*n[\\s.]*o[\\s.]*v[\\s.]*e[\\s.]*l',
+      flags: 'i',
+      maxLength: 200,
+    },
+    {
+      name: 'latest-chapters-notice',
+      type: 'line',
+      pattern: '(find|read|visit|get) (the )?(latest|newest|new|updated) (chapters?|novel)|for the best (novel )?reading experience|this chapter is updated by',
+      flags: 'i',
+      maxLength: 200,
+    },
+  ],
+  heading: [
+    { name: 'repeated-heading', type: 'heading' },
+  ],
+  credits: [
+    {
+      name: 'translator-credits',
+      type: 'line',
+      pattern: '^\\s*(translator|translated by|translation|editor|edited by|proofreader|proofread by|tl|ed|tlc|pr)\\s*[:：\\-–—]',
+      flags: 'i',
+      maxLength: 150,
+    },
+  ],
+  support: [
+    {
+      name: 'support-boilerplate',
+      type: 'line',
+      pattern: 'please support|support (us|the (author|translator))|consider supporting|patreon\\.com|ko-fi\\.com|buymeacoffee|vote (for|with) (power stones|golden tickets)',
+      flags: 'i',
+      maxLength: 300,
+    },
+  ],
+};
+
+PRESETS.default = [
+  ...PRESETS.watermarks,
+  ...PRESETS.heading,
+  ...PRESETS.credits,
+  ...PRESETS.support,
+];
+
+export const PRESET_NAMES = Object.keys(PRESETS);
+
+function compileRule(rule, origin) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid cleanup rule in ${origin}: expected an object`);
+  }
+  const name = rule.name || `${rule.type}:${rule.pattern}`;
+  if (rule.type === 'heading') {
+    return { name, type: 'heading' };
+  }
+  if (rule.type !== 'line' && rule.type !== 'regex') {
+    throw new Error(`Cleanup rule "${name}" in ${origin} has unknown type "${rule.type}"`);
+  }
+  if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+    throw new Error(`Cleanup rule "${name}" in ${origin} needs a pattern`);
+  }
+
+  let regex;
+  try {
+    const flags = rule.flags || '';
+    regex = new RegExp(rule.pattern, rule.type === 'regex' && !flags.includes('g') ? `${flags}g` : flags);
+  } catch (err) {
+    throw new Error(`Cleanup rule "${name}" in ${origin}: ${err.message}`);
+  }
+
+  return {
+    name,
+    type: rule.type,
+    regex,
+    replace: rule.replace ?? '',
+    maxLength: rule.maxLength ?? Infinity,
+  };
+}
+
+function presetRules(presetName, origin) {
+  const rules = PRESETS[presetName];
+  if (!rules) {
+    throw new Error(`Unknown cleanup preset "${presetName}" in ${origin}. Available: ${PRESET_NAMES.join(', ')}`);
+  }
+  return rules;
+}
+
+// presets: preset names ('none' disables the built-ins); rulesFile: optional
+// path to a user rules file. A `presets` key in the file replaces `presets`.
+export function loadCleanupRules({ presets = ['default'], rulesFile = null } = {}) {
+  let presetNames = presets;
+  let userRules = [];
+
+  if (rulesFile) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(rulesFile, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Could not read cleanup rules from ${rulesFile}: ${err.message}`);
+    }
+    if (Array.isArray(data)) {
+      userRules = data;
+    } else {
+      userRules = data.rules || [];
+      if (data.presets) presetNames = data.presets;
+    }
+  }
+
+  const rules = [];
+  const seen = new Set();
+  for (const presetName of presetNames) {
+    if (presetName === 'none') continue;
+    for (const rule of presetRules(presetName, '--cleanup')) {
+      if (seen.has(rule.name)) continue;
+      seen.add(rule.name);
+      rules.push(compileRule(rule, `preset "${presetName}"`));
+    }
+  }
+  for (const rule of userRules) {
+    rules.push(compileRule(rule, rulesFile));
+  }
+  return rules;
+}
+
+export function plainText(block) {
+  return block
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function normalizeHeading(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function isRepeatedHeading(text, title) {
+  const normalized = normalizeHeading(text);
+  if (!normalized) return false;
+  if (normalized === normalizeHeading(title)) return true;
+  // "Chapter 12" on its own when the title is "Chapter 12: Something"
+  const number = title.match(/chapter\s*(\d+)/i)?.[1];
+  return Boolean(number) && normalized === `chapter${number}`;
+}
+
+// Applies the rules to one chapter. Returns the cleaned content and the rules
+// that fired, as { [ruleName]: blocksAffected }.
+export function cleanChapter(chapter, rules) {
+  let blocks = (chapter.content || '').split('\n');
+  const fired = {};
+  const hit = (name) => { fired[name] = (fired[name] || 0) + 1; };
+
+  for (const rule of rules) {
+    if (rule.type === 'heading') {
+      const title = chapter.title || '';
+      // Sites repeat the heading at most twice (title line, then "Chapter N")
+      let dropped = 0;
+      while (dropped < 2 && blocks.length > 1 && isRepeatedHeading(plainText(blocks[0]), title)) {
+        blocks.shift();
+        dropped++;
+        hit(rule.name);
+      }
+    } else if (rule.type === 'line') {
+      blocks = blocks.filter(block => {
+        const text = plainText(block);
+        if (text.length > rule.maxLength) return true;
+        rule.regex.lastIndex = 0;
+        if (!rule.regex.test(text)) return true;
+        hit(rule.name);
+        return false;
+      });
+    } else {
+      blocks = blocks.flatMap(block => {
+        rule.regex.lastIndex = 0;
+        if (!rule.regex.test(block)) return [block];
+        hit(rule.name);
+        const replaced = block.replace(rule.regex, rule.replace);
+        const isEmpty = plainText(replaced) === '' && !/<(img|hr)\b/.test(replaced);
+        return isEmpty ? [] : [replaced];
+      });
+    }
+  }
+
+  return { content: blocks.join('\n'), fired };
+}
+
+// Cleans every chapter in place (unless dryRun) and returns a report of
+// which rules fired on which chapters: { [ruleName]: [{ index, count }] }.
+export function applyCleanup(chapters, rules, { dryRun = false } = {}) {
+  const report = {};
+  if (rules.length === 0) return report;
+
+  chapters.forEach((ch, index) => {
+    if (!ch || !ch.content) return;
+    const { content, fired } = cleanChapter(ch, rules);
+    for (const [name, count] of Object.entries(fired)) {
+      (report[name] ||= []).push({ index, count });
+    }
+    // Never let cleanup empty a chapter completely
+    if (!dryRun && plainText(content) !== '') {
+      ch.content = content;
+    }
+  });
+
+  return report;
+}
+
+export function summarizeCleanup(report) {
+  return Object.entries(report)
+    .map(([name, hits]) => `${name} ×${hits.reduce((sum, h) => sum + h.count, 0)}`)
+    .join(', ');
+}
+
+export function printCleanupReport(report, chapters, dryRun = false) {
+  const names = Object.keys(report);
+  if (names.length === 0) {
+    console.log(`  Cleanup: no rules fired.`);
+    return;
+  }
+
+  console.log(`  Cleanup${dryRun ? ' (dry run, content unchanged)' : ''}: ${summarizeCleanup(report)}`);
+  if (!dryRun) return;
+
+  for (const name of names) {
+    console.log(`    ${name}:`);
+    for (const { index, count } of report[name]) {
+      const title = chapters[index]?.title || `Chapter ${index + 1}`;
+      console.log(`      #${index + 1} ${title}${count > 1 ? ` (${count} blocks)` : ''}`);
+    }
+  }
+}
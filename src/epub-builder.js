@@ -1,84 +1,124 @@
-import { EPub } from 'epub-gen-memory';
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import { sanitizeFilename } from './utils.js';
-import { fetchCoverImage } from './scraper.js';
+import { getSource } from './sources/index.js';
+import { localizeChapterImages } from './chapter-images.js';
+import { writeEpub } from './epub-writer.js';
+import { bookCss, frontMatter } from './book-style.js';
 
-export async function buildEpub(novelData, chapters, outputDir = 'output') {
-  const { title, author, genres, description, coverUrl } = novelData;
+// Stable across rebuilds, so readers keep treating a rebuilt book as the same one
+export function bookIdentifier(source, slug, title) {
+  const key = slug || (title || 'unknown').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `urn:novel-downloaded:${source || 'freewebnovel'}:${key}`;
+}
+
+// calibre-style custom column, as found in calibre:user_metadata metas
+function calibreColumn(label, name, value, isMultiple = false) {
+  return {
+    label,
+    name,
+    datatype: 'text',
+    is_multiple: isMultiple ? { cache_to_list: '|', ui_to_list: ',', list_to_ui: ', ' } : {},
+    '#value#': value,
+  };
+}
+
+// Generates the book in memory; buildEpub() saves it, the KEPUB writer
+// post-processes it first
+export async function renderEpub(novelData, chapters) {
+  const {
+    title,
+    author,
+    genres = [],
+    description,
+    coverUrl,
+    source,
+    slug,
+    status = '',
+    alternativeTitles = [],
+    rating = null,
+    language = 'en',
+    originalLanguage = '',
+    originalPublisher = '',
+    publishedYear = '',
+    sourceUrl = '',
+    series = null,
+    partKey = null,
+  } = novelData;
 
-  // Download cover image and save to temp file (epub-gen-memory expects a file path)
-  let coverPath = null;
+  let cover = null;
   if (coverUrl) {
     console.log('  Downloading cover image...');
-    const coverBuffer = await fetchCoverImage(coverUrl);
-    if (coverBuffer) {
-      coverPath = path.join(os.tmpdir(), `novel-cover-${Date.now()}.jpg`);
-      fs.writeFileSync(coverPath, coverBuffer);
-    }
+    cover = await getSource(source).fetchCoverImage(coverUrl);
   }
 
-  const customCss = `
-    body { font-family: Georgia, serif; line-height: 1.6; margin: 1em; }
-    h1.chapter-title {
-      page-break-before: always;
-      margin-top: 2em;
-      margin-bottom: 1em;
-      font-size: 1.4em;
-      text-align: center;
-    }
-    p { text-indent: 1.5em; margin: 0.4em 0; }
-  `;
-
-  const options = {
+  const book = {
+    // Volumes and chapter ranges are books of their own
+    identifier: partKey ? `${bookIdentifier(source, slug, title)}:${partKey}` : bookIdentifier(source, slug, title),
     title: title || 'Unknown Title',
     author: author || 'Unknown Author',
+    language: language || 'en',
     description: description || '',
-    tocTitle: 'Table of Contents',
-    css: customCss,
+    publisher: originalPublisher || (sourceUrl ? new URL(sourceUrl).hostname : 'anonymous'),
+    date: publishedYear ? `${publishedYear}-01-01` : '',
+    sourceUrl,
+    subjects: genres,
+    alternativeTitles,
+    status,
+    originalLanguage,
+    series,
+    // calibre stores ratings out of 10; the sites rate out of 5
+    calibreRating: rating !== null ? Math.round(rating * 2) : null,
+    calibreColumns: [
+      status && calibreColumn('status', 'Status', status),
+      alternativeTitles.length > 0 && calibreColumn('alt_titles', 'Alternative Titles', alternativeTitles, true),
+    ].filter(Boolean),
+    css: bookCss(),
+    cover,
+    frontMatter: frontMatter(novelData, chapters),
   };
 
-  if (coverPath) {
-    options.cover = coverPath;
-  }
-
   const emptyCount = chapters.filter(ch => !ch.content || ch.content.trim() === '').length;
   if (emptyCount > 0) {
     console.warn(`  Warning: ${emptyCount} chapter${emptyCount > 1 ? 's' : ''} with empty content.`);
   }
 
-  const escapeHtml = (str) => str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+  // Copies, so the other formats still get the original markup
+  const epubChapters = chapters.map(ch => ({
+    title: ch.title || 'Untitled Chapter',
+    content: ch.content || '<p>No content available.</p>',
+    sourceUrl: ch.url || '',
+  }));
 
-  const epubChapters = chapters.map((ch) => {
-    const chTitle = ch.title || 'Untitled Chapter';
-    const body = ch.content || '<p>No content available.</p>';
-    return {
-      title: chTitle,
-      content: `<h1 class="chapter-title">${escapeHtml(chTitle)}</h1>\n${body}`,
-    };
+  // Inline chapter images are downloaded locally and embedded in the book
+  const { imageDir, stats: imageStats } = await localizeChapterImages(epubChapters, {
+    imageDir: path.join(os.tmpdir(), `novel-images-${process.pid}-${Date.now()}`),
   });
+  if (imageStats.found > 0) {
+    const failInfo = imageStats.failed > 0 ? `, ${imageStats.failed} replaced by placeholders` : '';
+    console.log(`  Images: ${imageStats.embedded}/${imageStats.found} embedded (${imageStats.unique} unique${failInfo})`);
+  }
 
   console.log(`  Generating EPUB for "${title}"...`);
-  const epubBuffer = await new EPub(options, epubChapters).genEpub();
+  try {
+    return await writeEpub(book, epubChapters);
+  } finally {
+    if (imageDir) fs.rmSync(imageDir, { recursive: true, force: true });
+  }
+}
+
+export async function buildEpub(novelData, chapters, outputDir = 'output') {
+  const epubBuffer = await renderEpub(novelData, chapters);
 
   // Ensure output directory exists
   fs.mkdirSync(outputDir, { recursive: true });
 
-  const filename = `${sanitizeFilename(title)}.epub`;
+  const filename = `${sanitizeFilename(novelData.title)}.epub`;
   const outputPath = path.join(outputDir, filename);
 
   fs.writeFileSync(outputPath, epubBuffer);
 
-  // Clean up temp cover file
-  if (coverPath) {
-    try { fs.unlinkSync(coverPath); } catch {}
-  }
-
   console.log(`  Saved: ${outputPath}`);
   return outputPath;
 }
@@ -0,0 +1,81 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as cheerio from 'cheerio';
+import JSZip from 'jszip';
+import { packagePath } from './epub-reader.js';
+
+// Rewrites chapters of an existing EPUB in place, leaving everything else
+// (metadata, cover, the other chapters) untouched. Used by repair.js.
+//
+// Each replacement is { file, content }: the chapter's path inside the
+// archive, as returned by readEpub(), and its new content. Images in the new
+// content must already be local files (file: URLs, see chapter-images.js);
+// they are added to the book next to the images the builder embedded.
+
+const MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+};
+
+// Temp file and rename, so an interrupted repair never leaves half a book
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+export async function patchChapters(epubPath, replacements) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(epubPath));
+  const opfPath = await packagePath(zip);
+  if (!opfPath) throw new Error(`${epubPath} has no package document`);
+  const imageDir = path.posix.join(path.posix.dirname(opfPath), 'images');
+  const newItems = [];
+
+  for (const { file, content } of replacements) {
+    const chapter = zip.file(file);
+    if (!chapter) throw new Error(`${epubPath} has no chapter ${file}`);
+
+    const $ = cheerio.load(await chapter.async('text'), { xml: true });
+    const $heading = $('h1.chapter-title').first();
+    $heading.nextAll().remove();
+    $heading.after(`\n${content}\n`);
+
+    for (const img of $('img').toArray()) {
+      const src = $(img).attr('src');
+      if (!src || !src.startsWith('file:')) continue;
+
+      const localPath = fileURLToPath(src);
+      const ext = path.extname(localPath).toLowerCase();
+      const data = fs.readFileSync(localPath);
+      const name = `repair_${crypto.createHash('sha1').update(data).digest('hex').slice(0, 16)}${ext}`;
+      const imagePath = path.posix.join(imageDir, name);
+      if (!zip.file(imagePath)) {
+        zip.file(imagePath, data);
+        newItems.push(`<item id="${path.posix.basename(name, ext)}" href="${path.posix.relative(path.posix.dirname(opfPath), imagePath)}" media-type="${MEDIA_TYPES[ext] || 'application/octet-stream'}" />`);
+      }
+      $(img).attr('src', path.posix.relative(path.posix.dirname(file), imagePath));
+    }
+
+    zip.file(file, $.xml());
+  }
+
+  if (newItems.length > 0) {
+    const opf = await zip.file(opfPath).async('text');
+    zip.file(opfPath, opf.replace('</manifest>', `    ${newItems.join('\n        ')}\n    </manifest>`));
+  }
+
+  // Readers expect the mimetype entry first and uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  const buffer = await zip.generateAsync({
+    type: 'nodebuffer',
+    mimeType: 'application/epub+zip',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 9 },
+  });
+  writeAtomic(epubPath, buffer);
+}
@@ -0,0 +1,123 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import * as cheerio from 'cheerio';
+import JSZip from 'jszip';
+import { registerImageDir } from './chapter-images.js';
+
+// Reads back an EPUB written by epub-builder.js: the package metadata and,
+// in spine order, each chapter's title, content and source URL. Chapters are
+// recognized by the <h1 class="chapter-title"> the builder puts on top of
+// them; everything after that heading is the chapter content, as it was
+// handed to the builder. Books built before chapter URLs were recorded come
+// back with url: null.
+//
+// Images embedded in the book are copied to `imageDir` and their <img src>
+// rewritten to those files, so the chapters can be fed straight back into
+// buildEpub(). The caller removes imageDir (null when there were none).
+// Pass extractImages: false when only reading, e.g. for a report.
+
+export const CHAPTER_URL_META = 'novel:chapter-url';
+
+function zipPath(fromFile, href) {
+  const target = decodeURIComponent(href.split('#')[0]);
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), target));
+}
+
+export async function packagePath(zip) {
+  const container = await zip.file('META-INF/container.xml')?.async('text');
+  const fullPath = container && cheerio.load(container, { xml: true })('rootfile').attr('full-path');
+  if (fullPath && zip.file(fullPath)) return fullPath;
+  // Fall back to the first package document in the archive
+  return Object.keys(zip.files).find(name => name.endsWith('.opf')) || null;
+}
+
+// EPUB 3 collection metadata, or calibre's series metas in older books
+function readSeries($opf) {
+  const $collection = $opf('meta[property="belongs-to-collection"]').first();
+  if ($collection.length) {
+    const id = $collection.attr('id');
+    const position = id && $opf(`meta[refines="#${id}"][property="group-position"]`).text().trim();
+    return { name: $collection.text().trim(), index: Number(position) || 1 };
+  }
+  const name = $opf('meta[name="calibre:series"]').attr('content');
+  if (!name) return null;
+  return { name, index: Number($opf('meta[name="calibre:series_index"]').attr('content')) || 1 };
+}
+
+export async function readEpub(epubPath, {
+  extractImages = true,
+  imageDir = path.join(os.tmpdir(), `novel-book-${process.pid}-${Date.now()}`),
+} = {}) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(epubPath));
+  const opfPath = await packagePath(zip);
+  if (!opfPath) throw new Error(`${epubPath} has no package document`);
+
+  const $opf = cheerio.load(await zip.file(opfPath).async('text'), { xml: true });
+  const metadata = {
+    title: $opf('dc\\:title').first().text().trim(),
+    author: $opf('dc\\:creator').first().text().trim() || null,
+    language: $opf('dc\\:language').first().text().trim() || null,
+    identifier: $opf('dc\\:identifier').first().text().trim(),
+    sourceUrl: $opf('dc\\:source').first().text().trim() || null,
+    series: readSeries($opf),
+  };
+
+  const hrefs = new Map();
+  $opf('manifest > item').each((_, item) => {
+    hrefs.set($opf(item).attr('id'), $opf(item).attr('href'));
+  });
+
+  const chapters = [];
+  // zip path -> file URL of the extracted copy
+  const extracted = new Map();
+  let usedImageDir = null;
+
+  for (const itemref of $opf('spine > itemref').toArray()) {
+    const href = hrefs.get($opf(itemref).attr('idref'));
+    if (!href) continue;
+    const file = zip.file(zipPath(opfPath, href));
+    if (!file) continue;
+
+    const $ = cheerio.load(await file.async('text'), { xml: true });
+    const $heading = $('h1.chapter-title').first();
+    // The table of contents and anything else that isn't a chapter
+    if (!$heading.length) continue;
+
+    const $body = $heading.nextAll();
+    const images = extractImages ? $body.find('img').add($body.filter('img')).toArray() : [];
+    for (const img of images) {
+      const src = $(img).attr('src');
+      if (!src || /^[a-z][a-z0-9+.-]*:/i.test(src)) continue;
+      const imagePath = zipPath(file.name, src);
+      if (!extracted.has(imagePath)) {
+        const image = zip.file(imagePath);
+        if (!image) {
+          extracted.set(imagePath, null);
+        } else {
+          if (!usedImageDir) {
+            fs.mkdirSync(imageDir, { recursive: true });
+            registerImageDir(imageDir);
+            usedImageDir = imageDir;
+          }
+          const localPath = path.join(imageDir, `${extracted.size}${path.posix.extname(imagePath)}`);
+          fs.writeFileSync(localPath, await image.async('nodebuffer'));
+          extracted.set(imagePath, pathToFileURL(localPath).href);
+        }
+      }
+      // A missing image becomes the usual placeholder when the book is rebuilt
+      $(img).attr('src', extracted.get(imagePath) || imagePath);
+    }
+
+    chapters.push({
+      // Path inside the archive, for rewriting the chapter in place
+      file: file.name,
+      url: $(`meta[name="${CHAPTER_URL_META}"]`).attr('content') || null,
+      title: $heading.text().trim(),
+      content: $body.toArray().map(el => $.xml(el)).join('\n'),
+    });
+  }
+
+  return { metadata, chapters, imageDir: usedImageDir };
+}
@@ -0,0 +1,256 @@
+import crypto from 'node:crypto';
+import * as cheerio from 'cheerio';
+import JSZip from 'jszip';
+import { escapeXml } from './sanitize.js';
+import { detectImageExtension, readLocalImage } from './chapter-images.js';
+import { CHAPTER_URL_META } from './epub-reader.js';
+
+// Packages a book as EPUB 3, with an EPUB 2 NCX and <guide> so older readers
+// still get a table of contents. Layout of the archive:
+//
+//   mimetype, META-INF/container.xml
+//   OEBPS/content.opf, toc.ncx, nav.xhtml, style.css
+//   OEBPS/cover.xhtml, cover.<ext>         when there is a cover
+//   OEBPS/title-page.xhtml ...             front matter, see book-style.js
+//   OEBPS/chapter-0001.xhtml ...           one per chapter, in order
+//   OEBPS/images/<sha1>.<ext>              chapter images, once per content
+//
+// Every file name and manifest id is derived from the chapter's position or
+// the image's content, so rebuilding a book gives the same package. Chapters
+// start with the <h1 class="chapter-title"> epub-reader.js looks for.
+//
+// `book` is the metadata epub-builder.js resolves:
+//   { identifier, title, author, language, description, publisher, date,
+//     sourceUrl, subjects, alternativeTitles, status, originalLanguage,
+//     series, calibreRating, calibreColumns, css, cover, frontMatter }
+// where cover is an image buffer or null and frontMatter the pages
+// frontMatter() in book-style.js renders. Chapter images must be local
+// files (file: URLs, see chapter-images.js).
+
+const MEDIA_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+function xhtmlDocument(title, lang, body, head = '') {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+${head}  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Embeds the chapter's local images and returns its markup as XHTML
+function chapterBody(content, images) {
+  const $ = cheerio.load(content, null, false);
+  $('img').each((_, img) => {
+    const src = $(img).attr('src') || '';
+    if (!src.startsWith('file:')) return;
+    // Unreadable, or not one of the localized copies: shown as missing
+    const data = readLocalImage(src);
+    const ext = data && detectImageExtension(data);
+    if (!ext) {
+      $(img).replaceWith('<span class="image-missing">[Image unavailable]</span>');
+      return;
+    }
+    const hash = crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+    const href = `images/${hash}.${ext}`;
+    if (!images.has(href)) images.set(href, { id: `image-${hash}`, data, type: MEDIA_TYPES[ext] });
+    $(img).attr('src', href);
+  });
+  return $.xml();
+}
+
+function coverDocument(book, coverHref) {
+  const body = `  <section epub:type="cover" class="cover">
+    <img src="${coverHref}" alt="${escapeXml(book.title)}"/>
+  </section>`;
+  return xhtmlDocument(book.title, book.language, body);
+}
+
+function navDocument(book, chapters, hasCover, pages) {
+  const toc = chapters
+    .map(ch => `      <li><a href="${ch.href}">${escapeXml(ch.title)}</a></li>`)
+    .join('\n');
+  const landmarks = [
+    hasCover && '      <li><a epub:type="cover" href="cover.xhtml">Cover</a></li>',
+    ...pages.map(page => `      <li><a epub:type="${page.type}" href="${page.href}">${escapeXml(page.title)}</a></li>`),
+    '      <li><a epub:type="toc" href="nav.xhtml#toc">Table of Contents</a></li>',
+    chapters.length > 0 && `      <li><a epub:type="bodymatter" href="${chapters[0].href}">Start of Content</a></li>`,
+  ].filter(Boolean).join('\n');
+
+  const body = `  <nav epub:type="toc" id="toc">
+    <h1>Table of Contents</h1>
+    <ol>
+${toc}
+    </ol>
+  </nav>
+  <nav epub:type="landmarks" id="landmarks" hidden="hidden">
+    <h2>Landmarks</h2>
+    <ol>
+${landmarks}
+    </ol>
+  </nav>`;
+  return xhtmlDocument(book.title, book.language, body);
+}
+
+function ncxDocument(book, chapters) {
+  const navPoints = chapters
+    .map((ch, i) => `    <navPoint id="navpoint-${i + 1}" playOrder="${i + 1}">
+      <navLabel><text>${escapeXml(ch.title)}</text></navLabel>
+      <content src="${ch.href}"/>
+    </navPoint>`)
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1" xml:lang="${book.language}">
+  <head>
+    <meta name="dtb:uid" content="${escapeXml(book.identifier)}"/>
+    <meta name="dtb:depth" content="1"/>
+    <meta name="dtb:totalPageCount" content="0"/>
+    <meta name="dtb:maxPageNumber" content="0"/>
+  </head>
+  <docTitle><text>${escapeXml(book.title)}</text></docTitle>
+  <docAuthor><text>${escapeXml(book.author)}</text></docAuthor>
+  <navMap>
+${navPoints}
+  </navMap>
+</ncx>
+`;
+}
+
+function metadataXml(book, hasCover) {
+  const meta = (name, content) => `<meta name="${name}" content="${escapeXml(String(content))}"/>`;
+  // Seconds precision, as EPUB 3 requires for dcterms:modified
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  return [
+    `<dc:identifier id="book-id">${escapeXml(book.identifier)}</dc:identifier>`,
+    `<dc:title id="title">${escapeXml(book.title)}</dc:title>`,
+    `<dc:creator id="creator">${escapeXml(book.author)}</dc:creator>`,
+    '<meta refines="#creator" property="role" scheme="marc:relators">aut</meta>',
+    `<dc:language>${escapeXml(book.language)}</dc:language>`,
+    book.description && `<dc:description>${escapeXml(book.description)}</dc:description>`,
+    book.publisher && `<dc:publisher>${escapeXml(book.publisher)}</dc:publisher>`,
+    book.date && `<dc:date>${escapeXml(book.date)}</dc:date>`,
+    book.sourceUrl && `<dc:source>${escapeXml(book.sourceUrl)}</dc:source>`,
+    ...book.subjects.map(subject => `<dc:subject>${escapeXml(subject)}</dc:subject>`),
+    ...book.alternativeTitles.map(alt => `<meta property="dcterms:alternative">${escapeXml(alt)}</meta>`),
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    book.status && meta('novel:status', book.status),
+    book.originalLanguage && meta('novel:original-language', book.originalLanguage),
+    ...(book.series ? [
+      `<meta property="belongs-to-collection" id="series">${escapeXml(book.series.name)}</meta>`,
+      '<meta refines="#series" property="collection-type">series</meta>',
+      `<meta refines="#series" property="group-position">${book.series.index}</meta>`,
+      // calibre and most e-reader software only read these
+      meta('calibre:series', book.series.name),
+      meta('calibre:series_index', book.series.index),
+    ] : []),
+    book.calibreRating !== null && meta('calibre:rating', book.calibreRating),
+    ...book.calibreColumns.map(column => meta(`calibre:user_metadata:#${column.label}`, JSON.stringify(column))),
+    // EPUB 2 readers find the cover through this
+    hasCover && meta('cover', 'cover-image'),
+    meta('generator', 'novel-downloaded'),
+  ].filter(Boolean).map(line => `    ${line}`).join('\n');
+}
+
+export async function writeEpub(book, chapters) {
+  const pad = Math.max(4, String(chapters.length).length);
+  const images = new Map();
+  const documents = chapters.map((ch, i) => {
+    const id = `chapter-${String(i + 1).padStart(pad, '0')}`;
+    const head = ch.sourceUrl ? `  <meta name="${CHAPTER_URL_META}" content="${escapeXml(ch.sourceUrl)}"/>\n` : '';
+    const body = `<h1 class="chapter-title">${escapeXml(ch.title)}</h1>\n${chapterBody(ch.content, images)}`;
+    return { id, href: `${id}.xhtml`, title: ch.title, xhtml: xhtmlDocument(ch.title, book.language, body, head) };
+  });
+
+  const pages = book.frontMatter.map(page => ({
+    ...page,
+    href: `${page.id}.xhtml`,
+    xhtml: xhtmlDocument(page.title, book.language, page.body),
+  }));
+
+  const coverExt = book.cover && detectImageExtension(book.cover);
+  const coverHref = coverExt && `cover.${coverExt}`;
+
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="css" href="style.css" media-type="text/css"/>',
+    ...(coverHref ? [
+      `<item id="cover-image" href="${coverHref}" media-type="${MEDIA_TYPES[coverExt]}" properties="cover-image"/>`,
+      '<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>',
+    ] : []),
+    ...[...pages, ...documents].map(doc => `<item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml"/>`),
+    ...[...images].map(([href, image]) => `<item id="${image.id}" href="${href}" media-type="${image.type}"/>`),
+  ];
+  const spine = [
+    coverHref && '<itemref idref="cover"/>',
+    ...pages.map(page => `<itemref idref="${page.id}"/>`),
+    '<itemref idref="nav"/>',
+    ...documents.map(doc => `<itemref idref="${doc.id}"/>`),
+  ].filter(Boolean);
+  const guide = [
+    coverHref && '<reference type="cover" title="Cover" href="cover.xhtml"/>',
+    pages.some(page => page.id === 'title-page') && '<reference type="title-page" title="Title Page" href="title-page.xhtml"/>',
+    '<reference type="toc" title="Table of Contents" href="nav.xhtml"/>',
+    documents.length > 0 && `<reference type="text" title="Start of Content" href="${documents[0].href}"/>`,
+  ].filter(Boolean);
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${book.language}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+${metadataXml(book, Boolean(coverHref))}
+  </metadata>
+  <manifest>
+${manifest.map(line => `    ${line}`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+${spine.map(line => `    ${line}`).join('\n')}
+  </spine>
+  <guide>
+${guide.map(line => `    ${line}`).join('\n')}
+  </guide>
+</package>
+`;
+
+  const zip = new JSZip();
+  // Readers expect the mimetype entry first and uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', CONTAINER_XML);
+  zip.file('OEBPS/content.opf', opf);
+  zip.file('OEBPS/toc.ncx', ncxDocument(book, documents));
+  zip.file('OEBPS/nav.xhtml', navDocument(book, documents, Boolean(coverHref), pages));
+  zip.file('OEBPS/style.css', book.css);
+  if (coverHref) {
+    zip.file(`OEBPS/${coverHref}`, book.cover);
+    zip.file('OEBPS/cover.xhtml', coverDocument(book, coverHref));
+  }
+  for (const doc of [...pages, ...documents]) zip.file(`OEBPS/${doc.href}`, doc.xhtml);
+  for (const [href, image] of images) zip.file(`OEBPS/${href}`, image.data);
+
+  return zip.generateAsync({
+    type: 'nodebuffer',
+    mimeType: 'application/epub+zip',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 9 },
+  });
+}
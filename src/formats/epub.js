@@ -0,0 +1,8 @@
+import { buildEpub } from '../epub-builder.js';
+
+export const name = 'epub';
+export const extension = '.epub';
+
+export function build(metadata, chapters, outputDir) {
+  return buildEpub(metadata, chapters, outputDir);
+}
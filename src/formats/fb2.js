@@ -0,0 +1,309 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import * as cheerio from 'cheerio';
+import { sanitizeFilename } from '../utils.js';
+import { escapeXml } from '../sanitize.js';
+import { getSource } from '../sources/index.js';
+import { bookIdentifier } from '../epub-builder.js';
+import { localizeChapterImages, detectImageExtension, readLocalImage } from '../chapter-images.js';
+import { textContent, tableRows } from './markup.js';
+
+// FictionBook 2: one XML file with the book's description (title-info,
+// document-info), a <section> per chapter, and the cover and chapter images
+// embedded as base64 <binary> elements.
+//
+// FB2 has no line breaks or lists, so <br> splits a paragraph, list items
+// become paragraphs with a bullet or number, headings become subtitles and
+// scene breaks a "* * *" subtitle.
+
+export const name = 'fb2';
+export const extension = '.fb2';
+
+// The only image types FB2 readers are required to show; other images are
+// left out like failed downloads, and a cover of another type is dropped
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+};
+
+// Site genres -> FB2 genre codes; anything else is contemporary prose
+const GENRES = {
+  fantasy: 'sf_fantasy',
+  xianxia: 'sf_fantasy',
+  xuanhuan: 'sf_fantasy',
+  wuxia: 'sf_fantasy',
+  'sci-fi': 'sf',
+  'science fiction': 'sf',
+  horror: 'sf_horror',
+  romance: 'love',
+  mystery: 'detective',
+  thriller: 'thriller',
+  comedy: 'humor',
+  historical: 'prose_history',
+  action: 'adventure',
+  adventure: 'adventure',
+  'martial arts': 'adventure',
+  drama: 'prose_contemporary',
+};
+
+const INLINE = {
+  em: 'emphasis',
+  i: 'emphasis',
+  strong: 'strong',
+  b: 'strong',
+  s: 'strikethrough',
+  del: 'strikethrough',
+  sub: 'sub',
+  sup: 'sup',
+  code: 'code',
+};
+
+// Same wording as chapter-images.js uses for an image that failed to download
+const IMAGE_MISSING = '[Image unavailable]';
+
+const BLOCK_TAGS = new Set([
+  'p', 'blockquote', 'pre', 'hr', 'ul', 'ol', 'li',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+]);
+
+// Collects the images a book embeds, one <binary> per distinct file
+class Binaries {
+  constructor() {
+    this.items = [];
+    this.ids = new Map();
+  }
+
+  add(id, buffer) {
+    const type = CONTENT_TYPES[detectImageExtension(buffer)];
+    if (!type) return null;
+    this.items.push({ id, type, data: buffer.toString('base64') });
+    return id;
+  }
+
+  // Chapter images are local files by the time the book is written; one
+  // that can't be read, or isn't one of those, is left out
+  fromUrl(src) {
+    if (!src || !src.startsWith('file:')) return null;
+    if (!this.ids.has(src)) {
+      const buffer = readLocalImage(src);
+      const ext = buffer && detectImageExtension(buffer);
+      this.ids.set(src, ext ? this.add(`image-${this.ids.size + 1}.${ext}`, buffer) : null);
+    }
+    return this.ids.get(src);
+  }
+
+  toXml() {
+    return this.items
+      .map(({ id, type, data }) => `  <binary id="${id}" content-type="${type}">${data}</binary>`)
+      .join('\n');
+  }
+}
+
+// Inline FB2 markup for `nodes`. A <br> at the top level comes back as "\n"
+// so the caller can split the paragraph there; nested ones become a space.
+function inline(nodes, binaries, nested = false) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += escapeXml(node.data.replace(/\s+/g, ' '));
+      continue;
+    }
+    if (node.type !== 'tag') continue;
+
+    const tag = node.name.toLowerCase();
+    if (tag === 'br') {
+      out += nested ? ' ' : '\n';
+    } else if (tag === 'img') {
+      const id = binaries.fromUrl(node.attribs.src);
+      out += id ? `<image l:href="#${id}"/>` : IMAGE_MISSING;
+    } else {
+      const inner = inline(node.children || [], binaries, true);
+      out += INLINE[tag] && inner.trim() ? `<${INLINE[tag]}>${inner}</${INLINE[tag]}>` : inner;
+    }
+  }
+  return out;
+}
+
+function paragraphs(nodes, binaries, prefix = '') {
+  const lines = inline(nodes, binaries).split('\n').map(line => line.trim()).filter(Boolean);
+  return lines.map((line, i) => {
+    // A paragraph that is only an image becomes a block image
+    if (/^(<image [^>]*\/>\s*)+$/.test(line) && !(i === 0 && prefix)) {
+      return line.replace(/>\s+</g, '><');
+    }
+    return `<p>${i === 0 ? prefix : ''}${line}</p>`;
+  });
+}
+
+function blocks(nodes, binaries, inCite = false) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    out.push(...paragraphs(run, binaries));
+    run = [];
+  };
+
+  for (const node of nodes) {
+    if (node.type !== 'tag' || !BLOCK_TAGS.has(node.name.toLowerCase())) {
+      run.push(node);
+      continue;
+    }
+    flush();
+
+    const tag = node.name.toLowerCase();
+    const children = node.children || [];
+    if (tag === 'hr') {
+      out.push('<subtitle>* * *</subtitle>');
+    } else if (/^h\d$/.test(tag)) {
+      const text = inline(children, binaries, true).trim();
+      if (text) out.push(`<subtitle>${text}</subtitle>`);
+    } else if (tag === 'blockquote') {
+      // <cite> can't nest
+      const inner = blocks(children, binaries, true);
+      if (inner.length > 0) out.push(...(inCite ? inner : [`<cite>${inner.join('')}</cite>`]));
+    } else if (tag === 'ul' || tag === 'ol') {
+      const start = parseInt(node.attribs.start, 10) || 1;
+      children
+        .filter(child => child.type === 'tag' && child.name === 'li')
+        .forEach((li, i) => {
+          out.push(...paragraphs(li.children || [], binaries, tag === 'ol' ? `${start + i}. ` : '• '));
+        });
+    } else if (tag === 'table') {
+      const rows = tableRows(node).map(tr =>
+        (tr.children || [])
+          .filter(cell => cell.type === 'tag' && (cell.name === 'td' || cell.name === 'th'))
+          .map(cell => `<${cell.name}>${inline(cell.children || [], binaries, true).trim()}</${cell.name}>`)
+          .join('')
+      );
+      if (rows.length > 0) out.push(`<table>${rows.map(row => `<tr>${row}</tr>`).join('')}</table>`);
+    } else if (tag === 'pre') {
+      for (const line of textContent(node).replace(/\n+$/, '').split('\n')) {
+        out.push(line.trim() ? `<p><code>${escapeXml(line)}</code></p>` : '<empty-line/>');
+      }
+    } else {
+      out.push(...paragraphs(children, binaries));
+    }
+  }
+  flush();
+  return out;
+}
+
+function chapterSection(chapter, binaries) {
+  const $ = cheerio.load(chapter.content || '', null, false);
+  const body = blocks($.root().contents().toArray(), binaries);
+  if (body.length === 0) body.push('<p>No content available.</p>');
+  return [
+    '    <section>',
+    `      <title><p>${escapeXml(chapter.title || 'Untitled Chapter')}</p></title>`,
+    ...body.map(block => `      ${block}`),
+    '    </section>',
+  ].join('\n');
+}
+
+// "Jane Q. Doe" -> first-name Jane, last-name "Q. Doe"; one word is a nickname
+function authorXml(author) {
+  const parts = (author || 'Unknown Author').trim().split(/\s+/);
+  if (parts.length === 1) return `<author><nickname>${escapeXml(parts[0])}</nickname></author>`;
+  return `<author><first-name>${escapeXml(parts[0])}</first-name><last-name>${escapeXml(parts.slice(1).join(' '))}</last-name></author>`;
+}
+
+function genreCodes(genres) {
+  const codes = [...new Set(genres.map(genre => GENRES[genre.toLowerCase()]).filter(Boolean))];
+  return codes.length > 0 ? codes : ['prose_contemporary'];
+}
+
+export async function build(metadata, chapters, outputDir) {
+  const {
+    title = 'Unknown Title',
+    author,
+    genres = [],
+    description,
+    coverUrl,
+    source,
+    slug,
+    language = 'en',
+    originalPublisher = '',
+    publishedYear = '',
+    sourceUrl = '',
+    series = null,
+    partKey = null,
+  } = metadata;
+
+  const binaries = new Binaries();
+  let coverId = null;
+  if (coverUrl) {
+    console.log('  Downloading cover image...');
+    const buffer = await getSource(source).fetchCoverImage(coverUrl);
+    if (buffer) coverId = binaries.add(`cover.${detectImageExtension(buffer)}`, buffer);
+  }
+
+  // Copies, so the other formats still get the original markup
+  const fb2Chapters = chapters.map(ch => ({ title: ch.title, content: ch.content }));
+  const { imageDir } = await localizeChapterImages(fb2Chapters, {
+    imageDir: path.join(os.tmpdir(), `novel-fb2-images-${process.pid}-${Date.now()}`),
+  });
+
+  console.log(`  Generating FB2 for "${title}"...`);
+  let sections;
+  try {
+    sections = fb2Chapters.map(ch => chapterSection(ch, binaries));
+  } finally {
+    if (imageDir) fs.rmSync(imageDir, { recursive: true, force: true });
+  }
+
+  const identifier = partKey ? `${bookIdentifier(source, slug, title)}:${partKey}` : bookIdentifier(source, slug, title);
+  const annotation = (description || '').trim().split(/\n\s*\n/).filter(Boolean)
+    .map(para => `<p>${escapeXml(para.replace(/\s+/g, ' '))}</p>`).join('');
+  const today = new Date().toISOString().slice(0, 10);
+
+  const titleInfo = [
+    ...genreCodes(genres).map(code => `<genre>${code}</genre>`),
+    authorXml(author),
+    `<book-title>${escapeXml(title)}</book-title>`,
+    annotation && `<annotation>${annotation}</annotation>`,
+    genres.length > 0 && `<keywords>${escapeXml(genres.join(', '))}</keywords>`,
+    publishedYear && `<date value="${escapeXml(String(publishedYear))}-01-01">${escapeXml(String(publishedYear))}</date>`,
+    coverId && `<coverpage><image l:href="#${coverId}"/></coverpage>`,
+    `<lang>${escapeXml(language || 'en')}</lang>`,
+    series && `<sequence name="${escapeXml(series.name)}" number="${series.index}"/>`,
+  ].filter(Boolean);
+  const documentInfo = [
+    '<author><nickname>novel-downloaded</nickname></author>',
+    '<program-used>novel-downloaded</program-used>',
+    `<date value="${today}">${today}</date>`,
+    sourceUrl && `<src-url>${escapeXml(sourceUrl)}</src-url>`,
+    `<id>${escapeXml(identifier)}</id>`,
+    '<version>1.0</version>',
+  ].filter(Boolean);
+  const publishInfo = [
+    originalPublisher && `<publisher>${escapeXml(originalPublisher)}</publisher>`,
+    publishedYear && `<year>${escapeXml(String(publishedYear))}</year>`,
+  ].filter(Boolean);
+
+  const document = `<?xml version="1.0" encoding="UTF-8"?>
+<FictionBook xmlns="http://www.gribuser.ru/xml/fictionbook/2.0" xmlns:l="http://www.w3.org/1999/xlink">
+  <description>
+    <title-info>
+${titleInfo.map(line => `      ${line}`).join('\n')}
+    </title-info>
+    <document-info>
+${documentInfo.map(line => `      ${line}`).join('\n')}
+    </document-info>
+${publishInfo.length > 0 ? `    <publish-info>\n${publishInfo.map(line => `      ${line}`).join('\n')}\n    </publish-info>\n` : ''}  </description>
+  <body>
+    <title><p>${escapeXml(title)}</p></title>
+${sections.join('\n')}
+  </body>
+${binaries.toXml()}
+</FictionBook>
+`;
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const outputPath = path.join(outputDir, `${sanitizeFilename(title)}${extension}`);
+  fs.writeFileSync(outputPath, document);
+
+  console.log(`  Saved: ${outputPath}`);
+  return outputPath;
+}
@@ -0,0 +1,159 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { sanitizeFilename } from '../utils.js';
+import { escapeXml } from '../sanitize.js';
+import { getSource } from '../sources/index.js';
+import { bookCss } from '../book-style.js';
+import { localizeChapterImages, detectImageExtension, readLocalImage } from '../chapter-images.js';
+
+// One self-contained HTML file: title page with the cover, a linked table of
+// contents and every chapter. The cover and chapter images are embedded as
+// data: URIs, so the file works offline and can be passed around on its own.
+// Fonts and colours come from the EPUB theme and --css (see book-style.js).
+
+export const name = 'html';
+export const extension = '.html';
+
+const MEDIA_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+// Page layout only; added to the theme's CSS
+const LAYOUT_CSS = `
+    body { max-width: 40em; margin: 0 auto; padding: 1em; }
+    .title-page { margin: 2em 0 4em; }
+    .title-page .cover { max-width: 60%; height: auto; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3); }
+    .title-page .author { font-style: italic; }
+    .title-page .details { font-size: 0.9em; opacity: 0.75; }
+    .description { text-align: left; }
+    nav.toc ol { padding-left: 1.5em; }
+    h1.chapter-title { margin-top: 3em; }
+    .back { text-align: right; font-size: 0.8em; text-indent: 0; }
+    @media print { .back { display: none; } }
+`;
+
+function dataUri(buffer) {
+  const type = MEDIA_TYPES[detectImageExtension(buffer)];
+  return type ? `data:${type};base64,${buffer.toString('base64')}` : null;
+}
+
+const LOCAL_IMG = /<img\b[^>]*\ssrc="(file:[^"]*)"[^>]*\/>/g;
+
+const IMAGE_MISSING = '<span class="image-missing">[Image unavailable]</span>';
+
+// Swaps the local copies localizeChapterImages made for data: URIs; an
+// image that can't be read or isn't one of those copies shows as missing
+function inlineImages(chapters) {
+  const uris = new Map();
+  for (const ch of chapters) {
+    ch.content = ch.content.replace(LOCAL_IMG, (tag, url) => {
+      if (!uris.has(url)) {
+        const buffer = readLocalImage(url);
+        uris.set(url, buffer && dataUri(buffer));
+      }
+      const uri = uris.get(url);
+      return uri ? tag.replace(`src="${url}"`, () => `src="${uri}"`) : IMAGE_MISSING;
+    });
+  }
+}
+
+export async function build(metadata, chapters, outputDir) {
+  const {
+    title = 'Unknown Title',
+    author,
+    description,
+    genres = [],
+    sourceUrl,
+    series,
+    coverUrl,
+    source,
+    language = 'en',
+  } = metadata;
+
+  let cover = null;
+  if (coverUrl) {
+    console.log('  Downloading cover image...');
+    const buffer = await getSource(source).fetchCoverImage(coverUrl);
+    if (buffer) cover = dataUri(buffer);
+  }
+
+  // Copies, so the other formats still get the original markup
+  const htmlChapters = chapters.map(ch => ({
+    title: ch.title || 'Untitled Chapter',
+    content: ch.content || '<p>No content available.</p>',
+  }));
+  const { imageDir } = await localizeChapterImages(htmlChapters, {
+    imageDir: path.join(os.tmpdir(), `novel-html-images-${process.pid}-${Date.now()}`),
+  });
+
+  console.log(`  Generating HTML for "${title}"...`);
+  let document;
+  try {
+    inlineImages(htmlChapters);
+
+    const details = [
+      series && `Series: ${escapeXml(series.name)} #${series.index}`,
+      genres.length > 0 && `Genres: ${escapeXml(genres.join(', '))}`,
+      sourceUrl && `Source: <a href="${escapeXml(sourceUrl)}">${escapeXml(sourceUrl)}</a>`,
+    ].filter(Boolean);
+    const descriptionHtml = (description || '').trim().split(/\n\s*\n/).filter(Boolean)
+      .map(para => `<p>${escapeXml(para)}</p>`).join('\n');
+
+    const toc = htmlChapters
+      .map((ch, i) => `      <li><a href="#chapter-${i + 1}">${escapeXml(ch.title)}</a></li>`)
+      .join('\n');
+    const body = htmlChapters
+      .map((ch, i) => [
+        `<section class="chapter" id="chapter-${i + 1}">`,
+        `<h1 class="chapter-title">${escapeXml(ch.title)}</h1>`,
+        ch.content,
+        `<p class="back"><a href="#toc">Contents</a></p>`,
+        `</section>`,
+      ].join('\n'))
+      .join('\n\n');
+
+    document = `<!DOCTYPE html>
+<html lang="${escapeXml(language || 'en')}">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>${escapeXml(title)}</title>
+  ${author ? `<meta name="author" content="${escapeXml(author)}"/>` : ''}
+  <style>${bookCss(LAYOUT_CSS)}  </style>
+</head>
+<body>
+  <header class="title-page">
+    ${cover ? `<img class="cover" src="${cover}" alt="Cover"/>` : ''}
+    <h1>${escapeXml(title)}</h1>
+    ${author ? `<p class="author">by ${escapeXml(author)}</p>` : ''}
+    ${details.length > 0 ? `<p class="details">${details.join('<br/>')}</p>` : ''}
+    ${descriptionHtml ? `<div class="description">\n${descriptionHtml}\n</div>` : ''}
+  </header>
+  <nav class="toc" id="toc">
+    <h2>Table of Contents</h2>
+    <ol>
+${toc}
+    </ol>
+  </nav>
+  <main>
+${body}
+  </main>
+</body>
+</html>
+`;
+  } finally {
+    if (imageDir) fs.rmSync(imageDir, { recursive: true, force: true });
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const outputPath = path.join(outputDir, `${sanitizeFilename(title)}${extension}`);
+  fs.writeFileSync(outputPath, document);
+
+  console.log(`  Saved: ${outputPath}`);
+  return outputPath;
+}
@@ -0,0 +1,82 @@
+import fs from 'node:fs';
+import * as epub from './epub.js';
+import * as text from './text.js';
+import * as markdown from './markdown.js';
+import * as html from './html.js';
+import * as kepub from './kepub.js';
+import * as fb2 from './fb2.js';
+import { existingPartFile } from '../volumes.js';
+
+// Registry of output formats. A format is any object (usually a module
+// namespace) exposing:
+//   name                                 id used by --format
+//   extension                            file extension, e.g. '.epub'
+//   build(metadata, chapters, outputDir) writes the book as
+//                                        "<sanitized title><extension>" and
+//                                        returns its path
+// Builders must not modify `chapters`: one download is written in every
+// requested format from the same chapter array.
+
+export const DEFAULT_FORMATS = ['epub'];
+
+const REQUIRED_MEMBERS = ['name', 'extension', 'build'];
+
+const formats = new Map();
+
+export function registerFormat(format) {
+  const missing = REQUIRED_MEMBERS.filter(key => !(key in format));
+  if (missing.length > 0) {
+    throw new Error(`Output format "${format.name || '?'}" is missing: ${missing.join(', ')}`);
+  }
+  formats.set(format.name, format);
+}
+
+registerFormat(epub);
+registerFormat(text);
+registerFormat(markdown);
+registerFormat(html);
+registerFormat(kepub);
+registerFormat(fb2);
+
+export function listFormats() {
+  return [...formats.keys()];
+}
+
+export function getFormat(name) {
+  const format = formats.get(name);
+  if (!format) {
+    throw new Error(`Unknown format "${name}". Available: ${listFormats().join(', ')}`);
+  }
+  return format;
+}
+
+// "epub,txt" (or an array of names) -> formats, in the order given
+export function parseFormats(value) {
+  const names = Array.isArray(value) ? value : (value ? value.split(',') : DEFAULT_FORMATS);
+  const unique = [...new Set(names.map(name => name.trim().toLowerCase()).filter(Boolean))];
+  if (unique.length === 0) throw new Error('--format needs at least one format');
+  return unique.map(getFormat);
+}
+
+// The formats this book has no file for yet
+export function missingFormats(formatList, outputDir, metadata) {
+  return formatList.filter(format => !existingPartFile(outputDir, metadata, format.extension));
+}
+
+// Writes the book in each format and returns the paths. A volume saved
+// earlier under a shorter chapter range is replaced by the new file.
+export async function writeFormats(formatList, metadata, chapters, outputDir) {
+  const paths = [];
+  for (const format of formatList) {
+    const previous = existingPartFile(outputDir, metadata, format.extension);
+    const outputPath = await format.build(metadata, chapters, outputDir);
+    if (previous && previous !== outputPath) fs.rmSync(previous, { force: true });
+    paths.push(outputPath);
+  }
+  return paths;
+}
+
+// "EPUB, TXT" for progress output
+export function describeFormats(formatList) {
+  return formatList.map(format => format.name.toUpperCase()).join(', ');
+}
@@ -0,0 +1,102 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import * as cheerio from 'cheerio';
+import JSZip from 'jszip';
+import { renderEpub } from '../epub-builder.js';
+import { packagePath } from '../epub-reader.js';
+import { escapeXml } from '../sanitize.js';
+import { sanitizeFilename } from '../utils.js';
+
+// Kobo's flavour of EPUB: the same book as the epub format, with every
+// sentence wrapped in a <span class="koboSpan" id="kobo.P.S"> (P counts
+// paragraphs, S sentences within one) and the body wrapped in the
+// book-columns/book-inner divs. Kobo devices use the spans for reading
+// statistics, highlights and page turns, and only read a book as a KEPUB
+// when its name ends in .kepub.epub.
+
+export const name = 'kepub';
+export const extension = '.kepub.epub';
+
+// Elements whose text is split into spans; containers of these are skipped
+const PARAGRAPHS = 'p, h1, h2, h3, h4, h5, h6, li, td, th, caption, pre';
+
+// Terminal punctuation, maybe followed by closing quotes or brackets
+const SENTENCE_END = /[.!?…]["'”’»)\]]*$/u;
+
+function textNodes(node) {
+  if (node.type === 'text') return [node];
+  return (node.children || []).flatMap(textNodes);
+}
+
+function addKoboSpans($) {
+  let paragraph = 0;
+  $('body').find(PARAGRAPHS).each((_, el) => {
+    const $el = $(el);
+    if ($el.find(PARAGRAPHS).length > 0) return;
+    paragraph++;
+    let segment = 0;
+    const span = (inner) => `<span class="koboSpan" id="kobo.${paragraph}.${++segment}">${inner}</span>`;
+
+    for (const node of textNodes(el)) {
+      if (!node.data.trim()) continue;
+      // Keep the whitespace between sentences outside the spans
+      const parts = node.data.split(/(\s+)/);
+      let html = '';
+      let sentence = '';
+      for (const part of parts) {
+        if (/^\s+$/.test(part) && !sentence) {
+          html += part;
+        } else if (/^\s+$/.test(part) && SENTENCE_END.test(sentence)) {
+          html += `${span(escapeXml(sentence))}${part}`;
+          sentence = '';
+        } else {
+          sentence += part;
+        }
+      }
+      html += sentence.trim() ? span(escapeXml(sentence)) : escapeXml(sentence);
+      $(node).replaceWith(html);
+    }
+    $el.find('img').each((_, img) => {
+      $(img).wrap(`<span class="koboSpan" id="kobo.${paragraph}.${++segment}"></span>`);
+    });
+  });
+
+  $('body').wrapInner('<div id="book-columns"><div id="book-inner"></div></div>');
+}
+
+export async function build(metadata, chapters, outputDir) {
+  const epubBuffer = await renderEpub(metadata, chapters);
+
+  console.log(`  Adding Kobo markup for "${metadata.title}"...`);
+  const zip = await JSZip.loadAsync(epubBuffer);
+  const opfPath = await packagePath(zip);
+  const $opf = cheerio.load(await zip.file(opfPath).async('text'), { xml: true });
+  const documents = $opf('manifest > item[media-type="application/xhtml+xml"]').toArray()
+    .map(item => path.posix.join(path.posix.dirname(opfPath), $opf(item).attr('href')));
+
+  for (const file of documents) {
+    const entry = zip.file(file);
+    if (!entry) continue;
+    const $ = cheerio.load(await entry.async('text'), { xml: true });
+    // The EPUB 3 navigation document stays as it is
+    if ($('nav').length > 0) continue;
+    addKoboSpans($);
+    zip.file(file, $.xml());
+  }
+
+  // Readers expect the mimetype entry first and uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  const buffer = await zip.generateAsync({
+    type: 'nodebuffer',
+    mimeType: 'application/epub+zip',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 9 },
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const outputPath = path.join(outputDir, `${sanitizeFilename(metadata.title)}${extension}`);
+  fs.writeFileSync(outputPath, buffer);
+
+  console.log(`  Saved: ${outputPath}`);
+  return outputPath;
+}
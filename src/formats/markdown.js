@@ -0,0 +1,37 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { sanitizeFilename } from '../utils.js';
+import { toMarkdown, escapeMarkdown } from './markup.js';
+
+// CommonMark with GFM tables and strikethrough: the book title as the
+// level-1 heading, one level-2 heading per chapter. Images keep their
+// original URLs.
+
+export const name = 'md';
+export const extension = '.md';
+
+export async function build(metadata, chapters, outputDir) {
+  const { title = 'Unknown Title', author, description, genres = [], sourceUrl, series } = metadata;
+  console.log(`  Generating Markdown for "${title}"...`);
+
+  const front = [`# ${escapeMarkdown(title)}`];
+  if (author) front.push(`*by ${escapeMarkdown(author)}*`);
+  const details = [
+    series && `**Series:** ${escapeMarkdown(series.name)} #${series.index}`,
+    genres.length > 0 && `**Genres:** ${escapeMarkdown(genres.join(', '))}`,
+    sourceUrl && `**Source:** <${sourceUrl}>`,
+  ].filter(Boolean);
+  if (details.length > 0) front.push(details.join('  \n'));
+  if (description) front.push(description.trim().split(/\n\s*\n/).map(escapeMarkdown).join('\n\n'));
+
+  const body = chapters.map(ch =>
+    `## ${escapeMarkdown(ch.title || 'Untitled Chapter')}\n\n${toMarkdown(ch.content) || '*No content available.*'}`
+  );
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const outputPath = path.join(outputDir, `${sanitizeFilename(title)}${extension}`);
+  fs.writeFileSync(outputPath, `${front.join('\n\n')}\n\n${body.join('\n\n')}\n`);
+
+  console.log(`  Saved: ${outputPath}`);
+  return outputPath;
+}
@@ -0,0 +1,164 @@
+import * as cheerio from 'cheerio';
+
+// Renders chapter markup (the XHTML blocks sanitize.js produces) as plain
+// text or Markdown. Blocks are separated by a blank line; inline formatting
+// survives only in Markdown.
+
+const BLOCK_TAGS = new Set([
+  'p', 'blockquote', 'pre', 'hr', 'ul', 'ol', 'li',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+]);
+
+const MARKDOWN_WRAP = { em: '*', i: '*', strong: '**', b: '**', s: '~~', del: '~~', code: '`' };
+
+export function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+// Text that would start a heading, quote or list once it begins a line
+function escapeLineStart(line) {
+  return line.replace(/^(\d+)\.(\s)/, '$1\\.$2').replace(/^([#+-]\s)/, '\\$1');
+}
+
+function inline(nodes, markdown) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      const text = node.data.replace(/\s+/g, ' ');
+      out += markdown ? escapeMarkdown(text) : text;
+      continue;
+    }
+    if (node.type !== 'tag') continue;
+
+    const tag = node.name.toLowerCase();
+    if (tag === 'br') {
+      out += markdown ? '  \n' : '\n';
+    } else if (tag === 'img') {
+      const alt = node.attribs.alt || '';
+      const src = node.attribs.src || '';
+      // Local copies (e.g. images taken from an existing EPUB) are temporary
+      if (markdown && /^https?:/.test(src)) {
+        out += `![${escapeMarkdown(alt)}](${src})`;
+      } else {
+        const marker = `[Image${alt ? `: ${alt}` : ''}]`;
+        out += markdown ? escapeMarkdown(marker) : marker;
+      }
+    } else {
+      const inner = inline(node.children || [], markdown);
+      const wrap = markdown && MARKDOWN_WRAP[tag];
+      out += wrap && inner.trim() ? `${wrap}${inner.trim()}${wrap}` : inner;
+    }
+  }
+  return out;
+}
+
+export function textContent(node) {
+  if (node.type === 'text') return node.data;
+  return (node.children || []).map(textContent).join('');
+}
+
+function isBlock(node) {
+  return node.type === 'tag' && BLOCK_TAGS.has(node.name.toLowerCase());
+}
+
+function indent(text, prefix, firstPrefix = prefix) {
+  return text.split('\n').map((line, i) => ((i === 0 ? firstPrefix : prefix) + line).trimEnd()).join('\n');
+}
+
+export function tableRows(node) {
+  const rows = [];
+  const visit = (el) => {
+    for (const child of el.children || []) {
+      if (child.type !== 'tag') continue;
+      if (child.name === 'tr') rows.push(child);
+      else if (['thead', 'tbody', 'tfoot'].includes(child.name)) visit(child);
+    }
+  };
+  visit(node);
+  return rows;
+}
+
+function renderTable(node, markdown) {
+  const rows = tableRows(node).map(tr =>
+    (tr.children || [])
+      .filter(cell => cell.type === 'tag' && (cell.name === 'td' || cell.name === 'th'))
+      .map(cell => inline(cell.children || [], markdown).replace(/\s+/g, ' ').trim())
+  );
+  if (rows.length === 0) return '';
+  if (!markdown) return rows.map(cells => cells.join(' | ')).join('\n');
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => (cells[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+function renderBlock(node, markdown) {
+  const tag = node.name.toLowerCase();
+  const children = node.children || [];
+
+  if (tag === 'hr') return '* * *';
+  if (tag === 'pre') {
+    const text = textContent(node).replace(/\n+$/, '');
+    return markdown ? `\`\`\`\n${text}\n\`\`\`` : text;
+  }
+  if (tag === 'blockquote') {
+    return indent(blocks(children, markdown).join('\n\n'), markdown ? '> ' : '    ');
+  }
+  if (tag === 'ul' || tag === 'ol') {
+    const start = parseInt(node.attribs.start, 10) || 1;
+    return children
+      .filter(child => child.type === 'tag' && child.name === 'li')
+      .map((li, i) => {
+        const marker = tag === 'ol' ? `${start + i}. ` : '- ';
+        return indent(blocks(li.children || [], markdown).join('\n'), ' '.repeat(marker.length), marker);
+      })
+      .join('\n');
+  }
+  if (tag === 'table') return renderTable(node, markdown);
+
+  const text = inline(children, markdown).trim();
+  if (!text) return '';
+  const heading = tag.match(/^h(\d)$/);
+  if (heading && markdown) {
+    // The chapter title is the level-2 heading; content headings go below it
+    return `${'#'.repeat(Math.min(6, Number(heading[1]) + 1))} ${text}`;
+  }
+  return markdown ? text.split('\n').map(escapeLineStart).join('\n') : text;
+}
+
+// Renders nodes as blocks; loose inline runs become a paragraph of their own
+function blocks(nodes, markdown) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    const text = inline(run, markdown).trim();
+    if (text) out.push(markdown ? escapeLineStart(text) : text);
+    run = [];
+  };
+
+  for (const node of nodes) {
+    if (isBlock(node)) {
+      flush();
+      const block = renderBlock(node, markdown);
+      if (block) out.push(block);
+    } else {
+      run.push(node);
+    }
+  }
+  flush();
+  return out;
+}
+
+function render(content, markdown) {
+  const $ = cheerio.load(content || '', null, false);
+  return blocks($.root().contents().toArray(), markdown).join('\n\n');
+}
+
+export function toText(content) {
+  return render(content, false);
+}
+
+export function toMarkdown(content) {
+  return render(content, true);
+}
@@ -0,0 +1,40 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { sanitizeFilename } from '../utils.js';
+import { toText } from './markup.js';
+
+// Plain UTF-8 text: a title page, then each chapter under an underlined
+// title. Images become "[Image]" markers.
+
+export const name = 'txt';
+export const extension = '.txt';
+
+function underline(text, char) {
+  return `${text}\n${char.repeat(Math.max(3, [...text].length))}`;
+}
+
+export async function build(metadata, chapters, outputDir) {
+  const { title = 'Unknown Title', author, description, genres = [], sourceUrl, series } = metadata;
+  console.log(`  Generating text for "${title}"...`);
+
+  const front = [underline(title, '=')];
+  if (author) front.push(`by ${author}`);
+  const details = [
+    series && `Series: ${series.name} #${series.index}`,
+    genres.length > 0 && `Genres: ${genres.join(', ')}`,
+    sourceUrl && `Source: ${sourceUrl}`,
+  ].filter(Boolean);
+  if (details.length > 0) front.push(details.join('\n'));
+  if (description) front.push(description.trim());
+
+  const body = chapters.map(ch =>
+    `${underline(ch.title || 'Untitled Chapter', '-')}\n\n${toText(ch.content) || 'No content available.'}`
+  );
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const outputPath = path.join(outputDir, `${sanitizeFilename(title)}${extension}`);
+  fs.writeFileSync(outputPath, `${front.join('\n\n')}\n\n\n${body.join('\n\n\n')}\n`);
+
+  console.log(`  Saved: ${outputPath}`);
+  return outputPath;
+}
@@ -0,0 +1,138 @@
+import dns from 'node:dns';
+import fs from 'node:fs';
+
+// Host -> candidate IP overrides used to bypass DNS for source sites.
+//
+// Source adapters register built-in defaults with registerDefaultHostIps().
+// Users override them without touching code, in order of precedence:
+//   NOVEL_HOSTS="freewebnovel.com=104.21.234.247,172.67.0.1;other.com=dns"
+//   NOVEL_HOSTS_FILE=path/to/hosts.json (default: ./hosts.json if present)
+//     { "freewebnovel.com": ["104.21.234.247", "172.67.0.1"], "other.com": "dns" }
+// "dns" (or an empty list) turns the override off and uses normal DNS.
+//
+// When a connection to the current IP fails, the resolver moves on to the
+// next candidate, wrapping around once every candidate has failed.
+
+const DEFAULT_HOSTS_FILE = 'hosts.json';
+
+// hostname -> { ips, current, configured }
+const hosts = new Map();
+
+// Logged once per host/IP so long runs don't spam the console
+const loggedResolutions = new Set();
+
+function normalizeIps(ips) {
+  if (ips === 'dns' || ips === null || ips === undefined) return [];
+  const list = Array.isArray(ips) ? ips : String(ips).split(',');
+  return list.map(ip => String(ip).trim()).filter(ip => ip && ip !== 'dns');
+}
+
+function setHost(hostname, ips, configured) {
+  const entry = { ips: normalizeIps(ips), current: 0, configured };
+  const bare = hostname.toLowerCase().replace(/^www\./, '');
+  hosts.set(bare, entry);
+  hosts.set(`www.${bare}`, entry);
+}
+
+export function setHostOverride(hostname, ips) {
+  setHost(hostname, ips, true);
+}
+
+// Adapter defaults never replace a user-configured entry
+export function registerDefaultHostIps(hostname, ips) {
+  if (hosts.get(hostname.toLowerCase())?.configured) return;
+  setHost(hostname, ips, false);
+}
+
+export function parseHostsSpec(spec) {
+  const map = {};
+  for (const part of spec.split(/[;\s]+/)) {
+    if (!part) continue;
+    const eq = part.indexOf('=');
+    if (eq <= 0) {
+      throw new Error(`Invalid NOVEL_HOSTS entry "${part}" (expected host=ip[,ip...])`);
+    }
+    map[part.slice(0, eq)] = part.slice(eq + 1);
+  }
+  return map;
+}
+
+// Reads the user's overrides; each CLI calls this while validating its
+// arguments, so a bad NOVEL_HOSTS or hosts.json is reported like a bad flag.
+// Throws on a bad value.
+export function configureHosts({ env = process.env } = {}) {
+  const file = env.NOVEL_HOSTS_FILE || DEFAULT_HOSTS_FILE;
+  if (env.NOVEL_HOSTS_FILE || fs.existsSync(file)) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Could not read host overrides from ${file}: ${err.message}`);
+    }
+    for (const [hostname, ips] of Object.entries(data)) {
+      setHostOverride(hostname, ips);
+    }
+  }
+
+  if (env.NOVEL_HOSTS) {
+    for (const [hostname, ips] of Object.entries(parseHostsSpec(env.NOVEL_HOSTS))) {
+      setHostOverride(hostname, ips);
+    }
+  }
+}
+
+export function resolveOverride(hostname) {
+  const entry = hosts.get(hostname);
+  if (!entry || entry.ips.length === 0) return null;
+  return entry.ips[entry.current];
+}
+
+export function candidateCount(hostname) {
+  return hosts.get(hostname)?.ips.length || 0;
+}
+
+// Called when connecting to `ip` failed. Rotates to the next candidate if
+// `ip` is still the current one (parallel requests may report the same IP).
+// Returns true when another candidate is available to try.
+export function reportConnectFailure(hostname, ip, reason) {
+  const entry = hosts.get(hostname);
+  if (!entry || entry.ips.length < 2) return false;
+  if (entry.ips[entry.current] === ip) {
+    entry.current = (entry.current + 1) % entry.ips.length;
+    console.error(`  ${hostname}: ${ip} failed (${reason}), switching to ${entry.ips[entry.current]}`);
+  }
+  return true;
+}
+
+function logResolution(hostname, address, how) {
+  const key = `${hostname}|${address}`;
+  if (loggedResolutions.has(key)) return;
+  loggedResolutions.add(key);
+  console.log(`  Resolved ${hostname} -> ${address} (${how})`);
+}
+
+export const customLookup = (hostname, options, callback) => {
+  // Handle both (hostname, options, cb) and (hostname, cb) signatures
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const overrideIp = resolveOverride(hostname);
+  if (overrideIp) {
+    logResolution(hostname, overrideIp, 'override');
+    const family = overrideIp.includes(':') ? 6 : 4;
+    if (options.all) {
+      callback(null, [{ address: overrideIp, family }]);
+    } else {
+      callback(null, overrideIp, family);
+    }
+  } else if (hosts.has(hostname)) {
+    // Overridden to "dns": worth logging, since it differs from the default
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (!err) logResolution(hostname, Array.isArray(address) ? address[0]?.address : address, 'dns');
+      callback(err, address, family);
+    });
+  } else {
+    dns.lookup(hostname, options, callback);
+  }
+};
@@ -0,0 +1,124 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// On-disk cache for the raw fetchers, keyed by URL. Each entry is a body
+// file plus a JSON sidecar with the validators the server sent:
+//
+//   <dir>/ab/ab12...ef.body
+//   <dir>/ab/ab12...ef.json   { url, kind, storedAt, etag, lastModified, contentType }
+//
+// Entries younger than the TTL of their resource kind are served without
+// touching the network. Older ones are revalidated with If-None-Match /
+// If-Modified-Since, so an unchanged page costs a 304 instead of a download.
+// Server Cache-Control is ignored on purpose: these sites mark everything
+// uncacheable, and the TTLs below are what we actually want.
+
+export const DEFAULT_CACHE_DIR = '.cache/http';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Listings change constantly; chapter text and images practically never do
+export const CACHE_TTLS = {
+  listing: 1 * HOUR,
+  detail: 6 * HOUR,
+  chapter: 30 * DAY,
+  cover: 30 * DAY,
+  image: 30 * DAY,
+  default: 1 * HOUR,
+};
+
+const settings = { enabled: true, dir: DEFAULT_CACHE_DIR, offline: false };
+
+// offline: serve cached entries whatever their age and fail on misses
+export function configureCache({ enabled = true, dir = DEFAULT_CACHE_DIR, offline = false } = {}) {
+  settings.enabled = enabled;
+  settings.dir = dir || DEFAULT_CACHE_DIR;
+  settings.offline = enabled && offline;
+  return { ...settings };
+}
+
+export function cacheSettings() {
+  return { ...settings };
+}
+
+function entryPaths(url) {
+  const hash = crypto.createHash('sha256').update(url).digest('hex');
+  const base = path.join(settings.dir, hash.slice(0, 2), hash);
+  return { meta: `${base}.json`, body: `${base}.body` };
+}
+
+// Returns { meta, body } or null. A damaged entry counts as a miss.
+export function readCache(url) {
+  if (!settings.enabled) return null;
+  const paths = entryPaths(url);
+  try {
+    const meta = JSON.parse(fs.readFileSync(paths.meta, 'utf-8'));
+    if (meta.url !== url) return null;
+    return { meta, body: fs.readFileSync(paths.body) };
+  } catch {
+    return null;
+  }
+}
+
+export function isFresh(entry, kind = 'default') {
+  if (settings.offline) return true;
+  const ttl = CACHE_TTLS[kind] ?? CACHE_TTLS.default;
+  return Date.now() - entry.meta.storedAt < ttl;
+}
+
+// Headers for revalidating a stale entry, empty when it has no validators
+export function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry.meta.etag) headers['If-None-Match'] = entry.meta.etag;
+  if (entry.meta.lastModified) headers['If-Modified-Since'] = entry.meta.lastModified;
+  return headers;
+}
+
+// Write to a temp file and rename, so parallel workers never read half an entry
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+export function writeCache(url, kind, responseHeaders, body) {
+  if (!settings.enabled) return;
+  const paths = entryPaths(url);
+  const meta = {
+    url,
+    kind,
+    storedAt: Date.now(),
+    etag: responseHeaders.etag || null,
+    lastModified: responseHeaders['last-modified'] || null,
+    // Needed to pick the charset again when the body is served from cache
+    contentType: responseHeaders['content-type'] || null,
+  };
+  try {
+    fs.mkdirSync(path.dirname(paths.meta), { recursive: true });
+    writeAtomic(paths.body, body);
+    writeAtomic(paths.meta, JSON.stringify(meta));
+  } catch (err) {
+    // A full disk or read-only cache dir shouldn't fail the download
+    console.error(`  Could not cache ${url}: ${err.message}`);
+  }
+}
+
+// A 304 means the cached body is current again
+export function refreshCache(url, entry) {
+  if (!settings.enabled) return;
+  try {
+    writeAtomic(entryPaths(url).meta, JSON.stringify({ ...entry.meta, storedAt: Date.now() }));
+  } catch (err) {
+    console.error(`  Could not update cache for ${url}: ${err.message}`);
+  }
+}
+
+// Drops an entry that turned out to be bad (e.g. a block page served as 200)
+export function evictCache(url) {
+  if (!settings.enabled) return;
+  const paths = entryPaths(url);
+  fs.rmSync(paths.meta, { force: true });
+  fs.rmSync(paths.body, { force: true });
+}
@@ -0,0 +1,194 @@
+import crypto from 'node:crypto';
+import { plainText } from './cleanup.js';
+import { isPlaceholder } from './book-update.js';
+
+// Sanity checks on a book's chapters before it is built, for problems a
+// successful download doesn't rule out:
+//
+//   gaps        chapter numbers (parsed from titles) that skip, e.g. 310 → 312
+//   outOfOrder  a chapter numbered lower than the one before it
+//   duplicates  the same body twice, exactly or nearly, under any title
+//   short       bodies far shorter than the book's median, usually truncated
+//   long        bodies far longer than the median, usually two chapters in one
+//
+// Failed-download placeholders are reported by the download itself and are
+// left out here, except that their titles still count for numbering. A body
+// repeated within one novel is not a failed download: block-detector.js only
+// rejects text shared across novels, so duplicates are reported here.
+
+// Shorter/longer than this fraction/multiple of the median length
+const SHORT_RATIO = 0.3;
+const LONG_RATIO = 4;
+// Length outliers mean little in a book this small
+const MIN_CHAPTERS_FOR_LENGTH = 5;
+// Near-duplicates are looked for among this many preceding chapters
+const SIMILARITY_WINDOW = 5;
+const SIMILARITY_THRESHOLD = 0.8;
+const SHINGLE_WORDS = 3;
+const MIN_WORDS_FOR_SIMILARITY = 50;
+
+// "Chapter 310: Title", "Ch. 12.5", "Episode 4", "310 - Title"; null when
+// the title has no number. A bare leading number needs punctuation after it,
+// so "365 Days To Love" isn't read as chapter 365.
+export function chapterNumberFromTitle(title) {
+  const text = title || '';
+  const match = text.match(/\b(?:chapter|chap|ch|episode|ep)\.?\s*(\d+(?:\.\d+)?)/i)
+    || text.match(/^\s*(\d+(?:\.\d+)?)\s*[-–—:.)]/);
+  return match ? Number(match[1]) : null;
+}
+
+function normalizedText(content) {
+  return plainText((content || '').replace(/\n/g, ' ')).toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Word trigrams
+function shingles(words) {
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    set.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+  }
+  return set;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  for (const item of small) if (large.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Checks `chapters` ([{ title, content }], in book order). Entries refer to
+// chapters by index.
+export function checkIntegrity(chapters) {
+  const report = { gaps: [], outOfOrder: [], duplicates: [], short: [], long: [], unnumbered: 0, medianLength: 0 };
+
+  // Numbering. `previous` is the highest number so far, so one stray
+  // chapter doesn't make everything after it look out of order or skipped.
+  let previous = null;
+  chapters.forEach((ch, index) => {
+    const number = chapterNumberFromTitle(ch.title);
+    if (number === null) {
+      report.unnumbered++;
+      return;
+    }
+    if (previous) {
+      if (number < previous.number) {
+        report.outOfOrder.push({ index, number, previous: previous.number });
+        return;
+      }
+      // Chapters in between whose titles carry no number may be the
+      // skipped ones; sites sometimes title a chapter with the novel's name
+      const skipped = Math.floor(number) - Math.floor(previous.number) - 1;
+      if (skipped > index - previous.index - 1) {
+        report.gaps.push({ index, from: Math.floor(previous.number) + 1, to: Math.floor(number) - 1 });
+      }
+    }
+    previous = { index, number };
+  });
+
+  // Duplicate bodies
+  const byHash = new Map();
+  const recent = [];
+  const lengths = [];
+  chapters.forEach((ch, index) => {
+    if (isPlaceholder(ch)) return;
+    const text = normalizedText(ch.content);
+    lengths.push({ index, length: text.length });
+
+    const hash = crypto.createHash('sha1').update(text).digest('hex');
+    if (byHash.has(hash)) {
+      report.duplicates.push({ index, of: byHash.get(hash), similarity: 1 });
+      return;
+    }
+    byHash.set(hash, index);
+
+    const words = text.split(' ');
+    if (words.length < MIN_WORDS_FOR_SIMILARITY) return;
+    const set = shingles(words);
+    for (const other of recent) {
+      const similarity = jaccard(set, other.set);
+      if (similarity >= SIMILARITY_THRESHOLD) {
+        report.duplicates.push({ index, of: other.index, similarity });
+        break;
+      }
+    }
+    recent.push({ index, set });
+    if (recent.length > SIMILARITY_WINDOW) recent.shift();
+  });
+
+  // Length outliers
+  if (lengths.length >= MIN_CHAPTERS_FOR_LENGTH) {
+    report.medianLength = median(lengths.map(l => l.length));
+    for (const { index, length } of lengths) {
+      if (length < report.medianLength * SHORT_RATIO) report.short.push({ index, length });
+      else if (length > report.medianLength * LONG_RATIO) report.long.push({ index, length });
+    }
+  }
+
+  return report;
+}
+
+// Every gap, out-of-order chapter, duplicate and outlier counts once
+export function countIssues(report) {
+  return report.gaps.length + report.outOfOrder.length + report.duplicates.length
+    + report.short.length + report.long.length;
+}
+
+// e.g. "1 gap, 2 duplicates, 3 short"
+export function summarizeIntegrity(report) {
+  const parts = [
+    [report.gaps.length, 'gap', 'gaps'],
+    [report.outOfOrder.length, 'out of order', 'out of order'],
+    [report.duplicates.length, 'duplicate', 'duplicates'],
+    [report.short.length, 'short', 'short'],
+    [report.long.length, 'long', 'long'],
+  ];
+  return parts
+    .filter(([count]) => count > 0)
+    .map(([count, one, many]) => `${count} ${count === 1 ? one : many}`)
+    .join(', ');
+}
+
+export function parseMaxIssues(value) {
+  if (value === undefined || value === null) return null;
+  const max = Number(value);
+  if (!Number.isInteger(max) || max < 0) {
+    throw new Error(`--max-issues must be a non-negative integer (got "${value}")`);
+  }
+  return max;
+}
+
+// Lists each issue; `firstNumber` is the position of chapters[0] in the
+// novel, so chapters are shown by their number in the full chapter list
+export function printIntegrityReport(report, chapters, firstNumber = 1) {
+  if (countIssues(report) === 0) {
+    console.log(`  Integrity: no issues found.`);
+    return;
+  }
+
+  const label = (index) => `#${firstNumber + index} ${chapters[index]?.title || ''}`.trim();
+  const percent = (length) => `${Math.round((length / report.medianLength) * 100)}% of median`;
+  const LIMIT = 10;
+  const section = (name, entries, describe) => {
+    if (entries.length === 0) return;
+    console.log(`    ${name}:`);
+    for (const entry of entries.slice(0, LIMIT)) console.log(`      ${describe(entry)}`);
+    if (entries.length > LIMIT) console.log(`      ... and ${entries.length - LIMIT} more`);
+  };
+
+  console.log(`  Integrity: ${summarizeIntegrity(report)}`);
+  section('Gaps', report.gaps, ({ index, from, to }) =>
+    `${from === to ? `chapter ${from}` : `chapters ${from}-${to}`} missing before ${label(index)}`);
+  section('Out of order', report.outOfOrder, ({ index, previous }) =>
+    `${label(index)} comes after chapter ${previous}`);
+  section('Duplicates', report.duplicates, ({ index, of, similarity }) =>
+    `${label(index)} ${similarity === 1 ? 'repeats' : `is ${Math.floor(similarity * 100)}% the same as`} ${label(of)}`);
+  section('Short', report.short, ({ index, length }) => `${label(index)} (${percent(length)})`);
+  section('Long', report.long, ({ index, length }) => `${label(index)} (${percent(length)})`);
+}
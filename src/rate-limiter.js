@@ -0,0 +1,305 @@
+import { MessageChannel } from 'node:worker_threads';
+
+// Global request pacing. Every network request made by the fetchers in
+// utils.js takes a permit first and hands it back with its outcome; cache
+// hits don't take one. Three things decide when a permit is granted:
+//
+//   - a token bucket for --max-rps, a hard cap that never changes
+//   - an AIMD throttle: every success raises the allowed parallelism a
+//     little and shortens the gap between requests, while a 429/5xx halves
+//     the parallelism and doubles the gap. A Retry-After pauses everything.
+//   - block pages (see block-detector.js) pause everything for a cool-down
+//     that doubles while the site keeps blocking us
+//
+// All three live in the main thread. Worker threads don't get their own: each
+// one receives a MessagePort from createPermitChannel() and asks the main
+// thread for permits over it, so the limits cover the whole run no matter
+// how many workers or parallel chapter downloads there are.
+
+const MIN_BACKOFF_SPACING_MS = 250;
+const MAX_SPACING_MS = 30000;
+const SPACING_STEP_MS = 20;
+// Concurrent requests tend to fail together; count them as one signal
+const DECREASE_COOLDOWN_MS = 2000;
+export const MAX_RETRY_AFTER_MS = 10 * 60 * 1000;
+const BLOCK_COOL_DOWN_MS = 60 * 1000;
+const MAX_BLOCK_COOL_DOWN_MS = 15 * 60 * 1000;
+const RATE_WINDOW_MS = 30000;
+
+class TokenBucket {
+  // burst 1 spaces requests evenly instead of letting them clump
+  constructor(ratePerSecond, burst = 1) {
+    this.rate = ratePerSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    this.waiting = [];
+    this.timer = null;
+  }
+
+  acquire() {
+    return new Promise((resolve) => {
+      this.waiting.push(resolve);
+      this._drain();
+    });
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  _drain() {
+    this._refill();
+    while (this.waiting.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.waiting.shift()();
+    }
+    if (this.waiting.length > 0 && !this.timer) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this._drain();
+      }, waitMs);
+    }
+  }
+}
+
+function isThrottleStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+class AdaptiveThrottle {
+  constructor(maxConcurrency = Infinity) {
+    this.maxConcurrency = maxConcurrency;
+    this.limit = maxConcurrency;
+    this.spacingMs = 0;
+    this.inFlight = 0;
+    this.lastStart = 0;
+    this.lastDecrease = 0;
+    this.pausedUntil = 0;
+    this.coolDownMs = BLOCK_COOL_DOWN_MS;
+    this.blockedSinceSuccess = false;
+    this.completions = [];
+    this.waiting = [];
+    this.timer = null;
+  }
+
+  acquire() {
+    return new Promise((resolve) => {
+      this.waiting.push(resolve);
+      this._drain();
+    });
+  }
+
+  // outcome: { ok: true } on success, { status, retryAfterMs } for HTTP
+  // errors, {} for anything else (network errors don't move the throttle)
+  release(outcome = {}) {
+    const now = Date.now();
+    this.inFlight = Math.max(0, this.inFlight - 1);
+    this.completions.push(now);
+    while (this.completions[0] < now - RATE_WINDOW_MS) this.completions.shift();
+
+    if (outcome.ok) {
+      this.blockedSinceSuccess = false;
+      if (this.limit < this.maxConcurrency) {
+        this.limit = Math.min(this.maxConcurrency, this.limit + 1 / this.limit);
+      }
+      this.spacingMs = Math.max(0, this.spacingMs - SPACING_STEP_MS);
+    } else if (outcome.blocked) {
+      this.block(`HTTP ${outcome.status}`);
+    } else if (isThrottleStatus(outcome.status)) {
+      this._backOff(now, outcome);
+    }
+    this._drain();
+  }
+
+  // The site served a block or challenge page: stop everyone for a while
+  block(reason) {
+    const now = Date.now();
+    if (this.pausedUntil > now && this.blockedSinceSuccess) return;
+    // Blocked again without a single success in between: wait longer
+    if (this.blockedSinceSuccess) {
+      this.coolDownMs = Math.min(MAX_BLOCK_COOL_DOWN_MS, this.coolDownMs * 2);
+    } else {
+      this.coolDownMs = BLOCK_COOL_DOWN_MS;
+    }
+    this.blockedSinceSuccess = true;
+    this.pausedUntil = Math.max(this.pausedUntil, now + this.coolDownMs);
+    console.error(`  Site is blocking requests (${reason}): pausing all requests for ${Math.round(this.coolDownMs / 1000)}s`);
+    this._decrease(now);
+    this._drain();
+  }
+
+  _backOff(now, { status, retryAfterMs }) {
+    if (retryAfterMs) {
+      const until = now + Math.min(retryAfterMs, MAX_RETRY_AFTER_MS);
+      if (this.pausedUntil <= now) {
+        console.error(`  HTTP ${status} with Retry-After: pausing requests for ${Math.ceil((until - now) / 1000)}s`);
+      }
+      this.pausedUntil = Math.max(this.pausedUntil, until);
+    }
+    if (now - this.lastDecrease >= DECREASE_COOLDOWN_MS) this._decrease(now);
+  }
+
+  _decrease(now) {
+    this.lastDecrease = now;
+    // Halve what was actually running, not a ceiling that was never reached
+    this.limit = Math.max(1, Math.min(this.limit, this.inFlight + 1) / 2);
+    this.spacingMs = Math.min(MAX_SPACING_MS, Math.max(MIN_BACKOFF_SPACING_MS, this.spacingMs * 2));
+  }
+
+  _drain() {
+    while (this.waiting.length > 0 && this.inFlight < Math.max(1, Math.floor(this.limit))) {
+      const now = Date.now();
+      const waitMs = Math.max(this.pausedUntil - now, this.lastStart + this.spacingMs - now);
+      if (waitMs > 0) {
+        if (!this.timer) {
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this._drain();
+          }, waitMs);
+        }
+        return;
+      }
+      this.inFlight++;
+      this.lastStart = now;
+      this.waiting.shift()();
+    }
+  }
+
+  describe() {
+    const now = Date.now();
+    const recent = this.completions.filter(t => t >= now - RATE_WINDOW_MS).length;
+    let text = `${(recent / (RATE_WINDOW_MS / 1000)).toFixed(1)} req/s`;
+    if (this.pausedUntil > now) {
+      text += `, paused ${Math.ceil((this.pausedUntil - now) / 1000)}s`;
+    } else if (this.limit < this.maxConcurrency || this.spacingMs > 0) {
+      text += `, throttled to ${Math.floor(this.limit)} parallel`;
+      if (this.spacingMs > 0) text += ` / ${this.spacingMs}ms apart`;
+    }
+    return text;
+  }
+}
+
+// Main thread state; `remote` is set instead in worker threads
+let bucket = null;
+let throttle = new AdaptiveThrottle();
+let remote = null;
+
+export function parseMaxRps(value) {
+  if (value === undefined || value === null) return null;
+  const rps = Number(value);
+  if (!Number.isFinite(rps) || rps <= 0) {
+    throw new Error(`--max-rps must be a positive number (got "${value}")`);
+  }
+  return rps;
+}
+
+// Main thread: maxRps caps the request rate (null for no cap); maxConcurrency
+// is the most parallel requests the throttle will ever allow, normally the
+// configured concurrency (times the number of workers).
+export function configureRateLimit({ maxRps = null, maxConcurrency = Infinity } = {}) {
+  bucket = maxRps ? new TokenBucket(maxRps) : null;
+  throttle = new AdaptiveThrottle(maxConcurrency);
+  remote = null;
+  return maxRps || null;
+}
+
+async function acquireLocal() {
+  await throttle.acquire();
+  if (bucket) await bucket.acquire();
+}
+
+// Main thread: a port pair for one worker. Pass `port` to the worker (in
+// workerData, listed in transferList); the main thread answers its requests.
+// close() hands back permits the worker still held when it went away.
+export function createPermitChannel() {
+  const { port1, port2 } = new MessageChannel();
+  let held = 0;
+  let closed = false;
+
+  port1.on('message', async (msg) => {
+    if (msg.type === 'release') {
+      held--;
+      throttle.release(msg.outcome);
+      return;
+    }
+    if (msg.type === 'blocked') {
+      throttle.block(msg.reason);
+      return;
+    }
+    await acquireLocal();
+    if (closed) {
+      throttle.release();
+      return;
+    }
+    held++;
+    port1.postMessage({ id: msg.id });
+  });
+  // The worker's own lifetime decides when the channel goes away
+  port1.unref();
+
+  return {
+    port: port2,
+    close: () => {
+      closed = true;
+      for (; held > 0; held--) throttle.release();
+      port1.close();
+    },
+  };
+}
+
+// Worker thread: take permits from the main thread through `port`
+export function usePermitPort(port) {
+  bucket = null;
+  if (!port) {
+    remote = null;
+    return;
+  }
+  remote = { port, nextId: 1, pending: new Map() };
+  port.on('message', ({ id }) => {
+    const resolve = remote.pending.get(id);
+    remote.pending.delete(id);
+    // Only keep the thread alive while a permit is outstanding
+    if (remote.pending.size === 0) port.unref();
+    if (resolve) resolve();
+  });
+  port.unref();
+}
+
+export function acquirePermit() {
+  if (remote) {
+    const id = remote.nextId++;
+    return new Promise((resolve) => {
+      remote.pending.set(id, resolve);
+      remote.port.ref();
+      remote.port.postMessage({ type: 'acquire', id });
+    });
+  }
+  return acquireLocal();
+}
+
+// Every acquirePermit() must be paired with exactly one releasePermit()
+export function releasePermit(outcome = {}) {
+  if (remote) {
+    remote.port.postMessage({ type: 'release', outcome });
+    return;
+  }
+  throttle.release(outcome);
+}
+
+// Called when a response turned out to be a block page
+export function reportBlocked(reason) {
+  if (remote) {
+    remote.port.postMessage({ type: 'blocked', reason });
+    return;
+  }
+  throttle.block(reason);
+}
+
+// Effective request rate and throttle state for progress output
+export function describeThrottle() {
+  return throttle.describe();
+}
@@ -0,0 +1,231 @@
+import * as cheerio from 'cheerio';
+
+// Allowlist-based sanitizer for chapter markup. Keeps semantic inline and
+// block elements, drops scripts/ads/embeds outright, unwraps anything else
+// (keeping its text), strips attributes not listed below and serializes the
+// result as well-formed XHTML for the EPUB builder.
+
+const BLOCK_TAGS = new Set([
+  'p', 'blockquote', 'pre', 'hr', 'ul', 'ol', 'li',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  'h2', 'h3', 'h4', 'h5', 'h6',
+]);
+
+const INLINE_TAGS = new Set([
+  'em', 'i', 'strong', 'b', 'u', 's', 'del', 'sub', 'sup',
+  'small', 'code', 'br', 'img',
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Removed together with their content
+const DROP_TAGS = new Set([
+  'script', 'style', 'noscript', 'iframe', 'object', 'embed', 'form',
+  'input', 'button', 'select', 'textarea', 'ins', 'svg', 'video', 'audio',
+  'canvas', 'template', 'link', 'meta', 'nav',
+]);
+
+const DROP_SELECTORS = '.ads, .ad, .google-auto-placed, [id^="div-gpt-ad"], [class*="adsbygoogle"]';
+
+const ALLOWED_ATTRIBUTES = {
+  img: ['src', 'alt', 'width', 'height'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan'],
+  ol: ['start'],
+};
+
+// h1 is reserved for the chapter title the EPUB builder adds
+const RENAMED_TAGS = { h1: 'h2', strike: 's', center: 'p' };
+
+// Paragraphs made only of these characters become a scene break
+const SCENE_BREAK = /^[\s*~\-_=#—◇◆•·○●✦✧]{3,}$/;
+
+// Not allowed anywhere in XML 1.0; a stray one makes the whole chapter
+// unparseable for EPUB readers
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+// Image sources are web URLs or relative to the chapter. Anything else
+// (file:, javascript:, data:...) is dropped: the writers read file: URLs
+// from disk, so one from a chapter page could put a local file in a book.
+const WEB_PROTOCOLS = new Set(['http:', 'https:']);
+// Stands in for the chapter URL when there is none, to check relative URLs
+const PLACEHOLDER_BASE = 'http://relative.invalid/';
+
+export function escapeXml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// The image URL for `src`, absolute when there is a baseUrl, or null when
+// it isn't a web URL
+function resolveSrc(src, baseUrl) {
+  let url;
+  try {
+    url = new URL(src, baseUrl || PLACEHOLDER_BASE);
+  } catch {
+    return null;
+  }
+  if (!WEB_PROTOCOLS.has(url.protocol)) return null;
+  return baseUrl ? url.href : src;
+}
+
+function serializeAttributes(tag, attribs, baseUrl) {
+  const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+  let out = '';
+  for (const name of allowed) {
+    const value = attribs[name];
+    if (value === undefined) continue;
+    out += ` ${name}="${escapeXml(value.replace(CONTROL_CHARS, ''))}"`;
+  }
+  return out;
+}
+
+function serializeNodes(nodes, baseUrl) {
+  let out = '';
+  for (const node of nodes) {
+    out += serializeNode(node, baseUrl);
+  }
+  return out;
+}
+
+function serializeNode(node, baseUrl) {
+  if (node.type === 'text') {
+    return escapeXml(node.data.replace(CONTROL_CHARS, ''));
+  }
+  if (node.type !== 'tag') {
+    // comments, CDATA, directives
+    return '';
+  }
+
+  const rawTag = node.name.toLowerCase();
+  if (DROP_TAGS.has(rawTag)) return '';
+
+  // A list item outside any list reads as a plain paragraph
+  const tag = rawTag === 'li' && !inList(node) ? 'p' : RENAMED_TAGS[rawTag] || rawTag;
+  if (!BLOCK_TAGS.has(tag) && !INLINE_TAGS.has(tag)) {
+    // Unknown element (div, span, a, font...): keep the content only
+    return serializeNodes(node.children || [], baseUrl);
+  }
+  // Inline formatting can't hold paragraphs; keep the paragraphs
+  if (INLINE_TAGS.has(tag) && (node.children || []).some(isBlockOrContainer)) {
+    return serializeNodes(node.children, baseUrl);
+  }
+
+  // Lazy-loading sites keep the real image URL in data-src
+  if (tag === 'img') {
+    const raw = (node.attribs['data-src'] || node.attribs.src || '').trim();
+    const src = raw && resolveSrc(raw, baseUrl);
+    if (!src) return '';
+    node.attribs.src = src;
+  }
+
+  const attrs = serializeAttributes(tag, node.attribs || {}, baseUrl);
+  if (VOID_TAGS.has(tag)) {
+    return `<${tag}${attrs}/>`;
+  }
+  return `<${tag}${attrs}>${serializeNodes(node.children || [], baseUrl)}</${tag}>`;
+}
+
+// Whether a <li> sits in a <ul>/<ol>, with no other block in between
+function inList(node) {
+  for (let parent = node.parent; parent?.type === 'tag'; parent = parent.parent) {
+    const tag = parent.name.toLowerCase();
+    if (tag === 'ul' || tag === 'ol') return true;
+    if (BLOCK_TAGS.has(RENAMED_TAGS[tag] || tag)) return false;
+  }
+  return false;
+}
+
+function isBlockNode(node) {
+  if (node.type !== 'tag') return false;
+  const tag = RENAMED_TAGS[node.name.toLowerCase()] || node.name.toLowerCase();
+  return BLOCK_TAGS.has(tag);
+}
+
+// Unknown containers (div, section, span...) and inline wrappers around
+// blocks (<b><div><p>) are flattened so their block children can sit at the
+// top level next to real paragraphs.
+function flattenContainers(nodes) {
+  const flat = [];
+  for (const node of nodes) {
+    if (node.type === 'tag') {
+      const tag = node.name.toLowerCase();
+      if (DROP_TAGS.has(tag)) continue;
+      const mapped = RENAMED_TAGS[tag] || tag;
+      if (!BLOCK_TAGS.has(mapped) && (node.children || []).some(isBlockOrContainer)) {
+        flat.push(...flattenContainers(node.children));
+        continue;
+      }
+    }
+    flat.push(node);
+  }
+  return flat;
+}
+
+function isBlockOrContainer(node) {
+  if (node.type !== 'tag') return false;
+  return isBlockNode(node) || (node.children || []).some(isBlockOrContainer);
+}
+
+// Loose text and inline runs at the top level are wrapped into paragraphs,
+// splitting on double <br> the way sites fake paragraph breaks.
+function wrapLooseInline(nodes, baseUrl) {
+  const blocks = [];
+  let run = [];
+
+  const flush = () => {
+    const html = serializeNodes(run, baseUrl)
+      .split(/(?:<br\/>\s*){2,}/)
+      .map(part => part.replace(/^(\s|<br\/>)+|(\s|<br\/>)+$/g, ''))
+      .filter(part => part !== '');
+    for (const part of html) {
+      blocks.push(`<p>${part}</p>`);
+    }
+    run = [];
+  };
+
+  for (const node of nodes) {
+    if (isBlockNode(node)) {
+      flush();
+      blocks.push(serializeNode(node, baseUrl));
+    } else {
+      run.push(node);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+function textOf(html) {
+  return html.replace(/<[^>]+>/g, '').replace(/&nbsp;|\s/g, '').trim();
+}
+
+// Sanitizes the children of a cheerio element (e.g. the chapter article)
+// and returns an array of top-level XHTML blocks, one per line when joined.
+// Image sources are made absolute against baseUrl (the chapter URL).
+export function sanitizeChapterBlocks($root, baseUrl = null) {
+  $root.find(DROP_SELECTORS).remove();
+
+  const nodes = flattenContainers($root.contents().toArray());
+
+  return wrapLooseInline(nodes, baseUrl)
+    .map(block => {
+      if (block.startsWith('<p>') && SCENE_BREAK.test(textOf(block)) && !block.includes('<img')) {
+        return '<hr class="scene-break"/>';
+      }
+      return block;
+    })
+    .filter(block => {
+      if (block.startsWith('<hr') || block.includes('<img')) return true;
+      return textOf(block) !== '';
+    });
+}
+
+export function sanitizeHtml(html, baseUrl = null) {
+  const $ = cheerio.load(`<div id="sanitize-root">${html}</div>`);
+  return sanitizeChapterBlocks($('#sanitize-root'), baseUrl).join('\n');
+}
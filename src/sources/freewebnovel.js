@@ -0,0 +1,315 @@
+import * as cheerio from 'cheerio';
+import { fetchWithBypassRaw, fetchBufferWithBypass, retry, ParseError } from '../utils.js';
+import { registerDefaultHostIps } from '../host-resolver.js';
+import { sanitizeChapterBlocks } from '../sanitize.js';
+import { assertNotBlocked, assertNotCannedBody } from '../block-detector.js';
+import { chapterNumberFromTitle } from '../integrity.js';
+
+// Source adapter for freewebnovel.com. Every adapter exports the same shape:
+// name, hosts, slugFromUrl, fetchNovelList, fetchNovelDetail,
+// fetchChapterContent and fetchCoverImage (see ./index.js).
+
+export const name = 'freewebnovel';
+export const hosts = ['freewebnovel.com'];
+
+const BASE_URL = 'https://freewebnovel.com';
+// Built-in DNS bypass; override with NOVEL_HOSTS or hosts.json (see host-resolver.js)
+const BYPASS_IPS = ['104.21.234.247'];
+
+registerDefaultHostIps('freewebnovel.com', BYPASS_IPS);
+
+// Listing sort -> path segment under /sort/. Genre listings live under
+// /genre/<Genre> instead and take precedence over the sort.
+const SORT_PATHS = {
+  completed: 'completed-novel',
+  latest: 'latest-release',
+  popular: 'most-popular',
+  ongoing: 'ongoing-novel',
+};
+
+export const sorts = Object.keys(SORT_PATHS);
+export const defaultSort = 'completed';
+
+function listingPath({ sort = defaultSort, genre } = {}) {
+  if (genre) {
+    return `/genre/${encodeURIComponent(genre.trim().replace(/\s+/g, '+'))}`;
+  }
+  const sortPath = SORT_PATHS[sort];
+  if (!sortPath) {
+    throw new Error(`Unknown sort "${sort}". Available: ${sorts.join(', ')}`);
+  }
+  return `/sort/${sortPath}`;
+}
+
+// Every page goes through the block detector before it is parsed, so a
+// challenge page fails as blocked rather than as missing markup
+async function fetchPage(url, kind, detectOptions) {
+  const html = await retry(() => fetchWithBypassRaw(url, { kind }));
+  assertNotBlocked(html, url, detectOptions);
+  return html;
+}
+
+export function slugFromUrl(url) {
+  const match = url.match(/\/novel\/([^/?#]+)/);
+  return match ? match[1] : null;
+}
+
+export async function fetchNovelList(page = 1, listing = {}) {
+  const basePath = listingPath(listing);
+  const url = page === 1
+    ? `${BASE_URL}${basePath}`
+    : `${BASE_URL}${basePath}/${page}`;
+
+  const html = await fetchPage(url, 'listing');
+  return parseNovelRows(cheerio.load(html));
+}
+
+// Search results use the same row markup as the listing pages
+export async function searchNovels(query) {
+  const url = `${BASE_URL}/search/?searchkey=${encodeURIComponent(query.trim())}`;
+  const html = await fetchPage(url, 'listing');
+  return parseNovelRows(cheerio.load(html));
+}
+
+function parseNovelRows($) {
+  const novels = [];
+
+  $('div.li-row').each((_, row) => {
+    const $row = $(row);
+    const $title = $row.find('h3.tit a');
+    const title = $title.text().trim();
+    const href = $title.attr('href') || '';
+    const slug = slugFromUrl(href) || '';
+
+    const coverUrl = $row.find('div.pic img').attr('src') || '';
+
+    const genres = [];
+    // Genres are typically in the description area
+    $row.find('div.desc div.item').eq(1).find('a').each((_, a) => {
+      genres.push($(a).text().trim());
+    });
+
+    const chapterText = $row.find('span.s1').text().trim();
+    const chapterMatch = chapterText.match(/(\d+)/);
+    const chapterCount = chapterMatch ? parseInt(chapterMatch[1], 10) : 0;
+
+    if (title && slug) {
+      novels.push({ title, slug, coverUrl, genres, chapterCount });
+    }
+  });
+
+  return novels;
+}
+
+export async function fetchNovelDetail(slug) {
+  const url = `${BASE_URL}/novel/${slug}`;
+  const html = await fetchPage(url, 'detail');
+  const $ = cheerio.load(html);
+
+  const title = $('h1.tit').text().trim() || $('div.m-imgtxt h1').text().trim();
+  if (!title) {
+    throw new ParseError(`No novel title found at ${url}`, { url });
+  }
+
+  const $items = $('div.m-imgtxt div.txt div.item');
+  const info = readInfoItems($, $items);
+
+  // Author from detail page
+  const author = info.author?.text
+    || $items.first().find('.right a').text().trim()
+    || $items.first().find('.right').text().trim();
+
+  // Genres
+  const genres = info.genre?.links.length
+    ? info.genre.links
+    : $items.eq(1).find('.right a').map((_, a) => $(a).text().trim()).get();
+
+  const alternativeTitles = (info.alternative?.text || '')
+    .split(/[;,，、]/)
+    .map(t => t.trim())
+    .filter(t => t && t !== title);
+
+  const status = info.status?.text || '';
+  const originalLanguage = info.language?.text || '';
+  const originalPublisher = info.source?.text || info.publisher?.text || '';
+  const publishedYear = (info.release?.text || info.year?.text || '').match(/\b(19|20)\d{2}\b/)?.[0] || '';
+
+  // Rating as shown on the page (out of 5), plus vote count when present
+  const ratingText = $('[itemprop="ratingValue"]').attr('content')
+    || $('[itemprop="ratingValue"]').text()
+    || $('div.m-imgtxt .score p.vote').text();
+  const ratingMatch = ratingText.match(/(\d+(?:\.\d+)?)/);
+  const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
+  const votesText = $('[itemprop="ratingCount"]').attr('content') || $('[itemprop="ratingCount"]').text()
+    || ($('div.m-imgtxt .score p.vote').text().match(/(\d+)\s*votes?/i) || [])[1] || '';
+  const ratingCount = votesText ? parseInt(votesText, 10) || null : null;
+
+  // Language of the text we download (the site serves English translations)
+  const language = ($('html').attr('lang') || 'en').split('-')[0].toLowerCase();
+
+  // Description from meta tag
+  const description = $('meta[name="description"]').attr('content') || '';
+
+  // Cover image
+  const coverUrl = $('div.m-imgtxt div.pic img').attr('src') || '';
+
+  // What the page says the novel has, to check the index against: a
+  // chapter-count row when there is one, else the latest chapter's number
+  const latest = $('div.m-newest1 li a').map((_, a) => chapterNumberFromTitle($(a).attr('title') || $(a).text())).get();
+  const chapterCount = parseInt((info.chapters?.text || '').replace(/,/g, ''), 10)
+    || Math.floor(Math.max(0, ...latest));
+
+  const chapters = await collectChapterIndex($, url);
+
+  return {
+    slug,
+    title,
+    author,
+    genres,
+    description,
+    coverUrl,
+    status,
+    alternativeTitles,
+    rating,
+    ratingCount,
+    language,
+    originalLanguage,
+    originalPublisher,
+    publishedYear,
+    sourceUrl: url,
+    chapterCount,
+    chapters,
+  };
+}
+
+// Detail info rows look like <div class="item"><span title="Author" ...>
+// <div class="right">...</div></div>. Map them by lower-cased first word
+// of the label, e.g. "author", "genre", "status", "alternative".
+function readInfoItems($, $items) {
+  const info = {};
+  $items.each((_, item) => {
+    const $item = $(item);
+    const label = ($item.find('span[title]').first().attr('title')
+      || $item.find('.left, .tit, span').first().text()
+      || '').trim().toLowerCase().replace(/[^a-z ]/g, '');
+    const key = label.split(/\s+/)[0];
+    if (!key || info[key]) return;
+    const $right = $item.find('.right');
+    info[key] = {
+      text: $right.text().replace(/\s+/g, ' ').trim(),
+      links: $right.find('a').map((_, a) => $(a).text().trim()).get().filter(Boolean),
+    };
+  });
+  return info;
+}
+
+// Safety cap on chapter-index pages followed for a single novel
+const MAX_INDEX_PAGES = 200;
+
+// Walks the chapter index starting from the detail page. Long novels split
+// the index over several pages, and some pages leave #idData empty and load
+// it from the URL in its data-url attribute. Chapters are deduplicated by URL.
+async function collectChapterIndex($detail, detailUrl) {
+  const chapters = [];
+  const seenChapters = new Set();
+  const visitedPages = new Set([detailUrl]);
+
+  let $ = $detail;
+  let pageUrl = detailUrl;
+
+  const lazyUrl = $('ul#idData').attr('data-url');
+  if (lazyUrl && $('ul#idData li a').length === 0) {
+    pageUrl = new URL(lazyUrl, detailUrl).href;
+    visitedPages.add(pageUrl);
+    // An HTML fragment, so it may be short without being a block page
+    $ = cheerio.load(await fetchPage(pageUrl, 'detail', { minText: 0 }));
+  }
+
+  for (let pageCount = 1; ; pageCount++) {
+    $('ul#idData li a').each((_, a) => {
+      const $a = $(a);
+      const chTitle = $a.attr('title') || $a.text().trim();
+      const chHref = $a.attr('href') || '';
+      if (!chHref) return;
+      const chUrl = new URL(chHref, BASE_URL).href;
+      if (seenChapters.has(chUrl)) return;
+      seenChapters.add(chUrl);
+      chapters.push({ title: chTitle, url: chUrl });
+    });
+
+    const nextUrl = findNextIndexPage($, pageUrl);
+    if (!nextUrl || visitedPages.has(nextUrl)) break;
+    if (pageCount >= MAX_INDEX_PAGES) {
+      console.warn(`  Warning: chapter index exceeds ${MAX_INDEX_PAGES} pages, stopping at ${pageUrl}`);
+      break;
+    }
+
+    visitedPages.add(nextUrl);
+    pageUrl = nextUrl;
+    $ = cheerio.load(await fetchPage(pageUrl, 'detail'));
+  }
+
+  return chapters;
+}
+
+function findNextIndexPage($, pageUrl) {
+  const candidates = [
+    $('link[rel="next"]').attr('href'),
+    $('a[rel="next"]').attr('href'),
+    $('div.page a, ul.pagination a').filter((_, a) => {
+      const label = $(a).text().trim().toLowerCase();
+      return label === 'next' || label === '>' || label === '»' || label === 'next »';
+    }).attr('href'),
+  ];
+  const href = candidates.find(h => h && !h.startsWith('javascript:') && h !== '#');
+  return href ? new URL(href, pageUrl).href : null;
+}
+
+export async function fetchChapterContent(url) {
+  const html = await fetchPage(url, 'chapter');
+  const $ = cheerio.load(html);
+
+  const article = $('div#article');
+  if (!article.length) {
+    throw new ParseError(`No article div found at ${url}`, { url });
+  }
+
+  const $heading = article.find('h4').first();
+  const chapterTitle = $heading.text().trim()
+    || $('h1.tit').text().trim()
+    || '';
+
+  // The heading becomes the chapter title, so keep it out of the body
+  $heading.remove();
+
+  // Keep allowed markup only (emphasis, tables, blockquotes, images...)
+  const blocks = sanitizeChapterBlocks(article, url);
+
+  if (blocks.length === 0) {
+    throw new ParseError(`No paragraphs found at ${url}`, { url });
+  }
+
+  const content = blocks.join('\n');
+  // Chapter URLs sit under the novel's own path
+  assertNotCannedBody(content, url, slugFromUrl(url) || url.replace(/\/[^/]*$/, ''));
+
+  return { title: chapterTitle, content };
+}
+
+export async function fetchCoverImage(coverUrl) {
+  if (!coverUrl) return null;
+  try {
+    let url;
+    if (coverUrl.startsWith('http')) {
+      url = coverUrl;
+    } else if (coverUrl.startsWith('//')) {
+      url = `https:${coverUrl}`;
+    } else {
+      url = `${BASE_URL}${coverUrl.startsWith('/') ? '' : '/'}${coverUrl}`;
+    }
+    return await fetchBufferWithBypass(url, { kind: 'cover' });
+  } catch (err) {
+    console.error(`  Failed to fetch cover image: ${err.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,131 @@
+import * as freewebnovel from './freewebnovel.js';
+
+// Registry of source-site adapters. An adapter is any object (usually a
+// module namespace) exposing:
+//   name                       unique id used by --source
+//   hosts                      hostnames the adapter handles (www. implied)
+//   slugFromUrl(url)           novel slug from a novel URL, or null
+//   sorts, defaultSort         listing sorts the site supports
+//   fetchNovelList(page, { sort, genre })
+//                              [{ title, slug, coverUrl, genres, chapterCount }]
+//   searchNovels(query)        optional; same shape as fetchNovelList
+//   fetchNovelDetail(slug)     { slug, title, author, genres, description, coverUrl,
+//                                status, alternativeTitles, rating, ratingCount,
+//                                language, originalLanguage, originalPublisher,
+//                                publishedYear, sourceUrl, chapterCount, chapters }
+//                              (fields the site lacks are '', [], null or 0;
+//                              chapterCount is the count the page advertises)
+//   fetchChapterContent(url)   { title, content }
+//   fetchCoverImage(coverUrl)  Buffer or null
+// Adapters should pass a cache kind (listing, detail, chapter, cover) to the
+// fetchers in utils.js so each response is cached with the right TTL, and run
+// pages through block-detector.js before parsing them.
+
+export const DEFAULT_SOURCE = 'freewebnovel';
+
+const REQUIRED_MEMBERS = [
+  'name',
+  'hosts',
+  'sorts',
+  'defaultSort',
+  'slugFromUrl',
+  'fetchNovelList',
+  'fetchNovelDetail',
+  'fetchChapterContent',
+  'fetchCoverImage',
+];
+
+const sources = new Map();
+
+export function registerSource(adapter) {
+  const missing = REQUIRED_MEMBERS.filter(key => !(key in adapter));
+  if (missing.length > 0) {
+    throw new Error(`Source adapter "${adapter.name || '?'}" is missing: ${missing.join(', ')}`);
+  }
+  sources.set(adapter.name, adapter);
+}
+
+registerSource(freewebnovel);
+
+export function listSources() {
+  return [...sources.keys()];
+}
+
+export function getSource(name = DEFAULT_SOURCE) {
+  const adapter = sources.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown source "${name}". Available: ${listSources().join(', ')}`);
+  }
+  return adapter;
+}
+
+export function findSourceForUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+  for (const adapter of sources.values()) {
+    if (adapter.hosts.includes(hostname)) return adapter;
+  }
+  return null;
+}
+
+// Compares the chapters found in the index with the count advertised by a
+// listing or the detail page. Returns { missing, message }, or null when
+// there is nothing to report. Only a shortfall counts as `missing`; listings
+// go stale, so extra chapters just mean the novel grew since it was listed.
+export function checkChapterCount(found, advertised) {
+  if (!advertised || found === advertised) return null;
+  const missing = found < advertised;
+  return {
+    missing,
+    message: missing
+      ? `Found ${found} chapters but the site advertises ${advertised} (${advertised - found} missing)`
+      : `Found ${found} chapters, the site advertised ${advertised}`,
+  };
+}
+
+// Detail-page fields for buildEpub: everything except the chapter index
+export function bookMetadata(adapter, slug, novel) {
+  const { chapters, chapterCount, ...metadata } = novel;
+  return { ...metadata, slug: metadata.slug || slug, source: adapter.name };
+}
+
+// Normalize --sort/--genre into a listing for the adapter. A genre listing
+// ignores the sort; an unsupported sort is rejected up front.
+export function resolveListing(adapter, { sort, genre } = {}) {
+  if (genre) return { genre };
+  const chosen = sort || adapter.defaultSort;
+  if (!adapter.sorts.includes(chosen)) {
+    throw new Error(`Source "${adapter.name}" does not support sort "${chosen}". Available: ${adapter.sorts.join(', ')}`);
+  }
+  return { sort: chosen };
+}
+
+export function describeListing(listing) {
+  return listing.genre ? `"${listing.genre}" genre` : listing.sort;
+}
+
+// Stable per-source, per-listing key, used to name listing cache files.
+export function listingKey(adapter, listing) {
+  const part = listing.genre
+    ? `genre-${listing.genre.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`
+    : listing.sort;
+  return `${adapter.name}-${part}`;
+}
+
+// Pick an adapter from an explicit --source name, else from the URL host,
+// else fall back to the default source.
+export function resolveSource({ source, url } = {}) {
+  if (source) return getSource(source);
+  if (url) {
+    const adapter = findSourceForUrl(url);
+    if (!adapter) {
+      throw new Error(`No source adapter handles ${url}. Available: ${listSources().join(', ')}`);
+    }
+    return adapter;
+  }
+  return getSource(DEFAULT_SOURCE);
+}
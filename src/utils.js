@@ -1,31 +1,175 @@
 import https from 'node:https';
 import http from 'node:http';
-import dns from 'node:dns';
 import { URL } from 'node:url';
 import path from 'node:path';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import { customLookup, candidateCount, reportConnectFailure, resolveOverride } from './host-resolver.js';
+import { proxyAgentFor, rotateProxy } from './proxy.js';
+import { readCache, isFresh, conditionalHeaders, writeCache, refreshCache, cacheSettings } from './http-cache.js';
+import { acquirePermit, releasePermit, MAX_RETRY_AFTER_MS } from './rate-limiter.js';
 
-const TARGET_HOST = 'freewebnovel.com';
-const BYPASS_IP = '104.21.234.247';
+// Fetch and scrape failures. `category` groups them in summaries, and
+// `permanent` ones (a 404, a page without the expected markup) fail the same
+// way every time, so retry() gives up on them immediately.
+export class FetchError extends Error {
+  constructor(message, { url = null, permanent = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'FetchError';
+    this.category = 'other';
+    this.url = url;
+    this.permanent = permanent;
+  }
+}
+
+// 4xx statuses that can succeed if asked again later
+const TRANSIENT_CLIENT_STATUSES = new Set([408, 425, 429]);
+
+// A non-2xx response. Keeps the status and headers so callers can tell a
+// missing page from rate limiting, and honor Retry-After.
+export class HttpError extends FetchError {
+  constructor(url, status, headers = {}) {
+    super(`HTTP ${status} for ${url}`, {
+      url,
+      permanent: status >= 400 && status < 500 && !TRANSIENT_CLIENT_STATUSES.has(status),
+    });
+    this.name = 'HttpError';
+    this.category = 'http';
+    this.status = status;
+    this.headers = headers;
+    this.retryAfterMs = parseRetryAfter(headers['retry-after']);
+  }
+}
+
+// Connection-level failure: DNS, refused, reset, proxy handshake...
+export class NetworkError extends FetchError {
+  constructor(message, { url, code = null, cause } = {}) {
+    super(message, { url, cause });
+    this.name = 'NetworkError';
+    this.category = 'network';
+    this.code = code;
+  }
+}
+
+export class TimeoutError extends FetchError {
+  constructor(url) {
+    super(`Timeout for ${url}`, { url });
+    this.name = 'TimeoutError';
+    this.category = 'timeout';
+  }
+}
+
+// The page arrived but doesn't have the markup the adapter expects
+export class ParseError extends FetchError {
+  constructor(message, { url } = {}) {
+    super(message, { url, permanent: true });
+    this.name = 'ParseError';
+    this.category = 'parse';
+  }
+}
+
+// The site refused to serve us (403, bot challenge). Not the page's fault,
+// so it isn't permanent, but retrying right away rarely helps either.
+export class BlockedError extends FetchError {
+  constructor(message, { url, status = null, headers = {} } = {}) {
+    super(message, { url });
+    this.name = 'BlockedError';
+    this.category = 'blocked';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function toNetworkError(err, url) {
+  if (err instanceof FetchError) return err;
+  const wrapped = new NetworkError(`${err.message} (${url})`, { url, code: err.code || null, cause: err });
+  // trackConnection() needs the address the socket tried
+  wrapped.address = err.address;
+  wrapped.proxyStatus = err.proxyStatus;
+  return wrapped;
+}
 
-const customLookup = (hostname, options, callback) => {
-  // Handle both (hostname, options, cb) and (hostname, cb) signatures
-  if (typeof options === 'function') {
-    callback = options;
-    options = {};
+// Groups failures for a summary line: "HTTP 404 ×3, timeout ×1"
+export function describeFailures(errors) {
+  const counts = new Map();
+  for (const err of errors) {
+    const key = err?.category === 'http' ? `HTTP ${err.status}` : (err?.category || 'other');
+    counts.set(key, (counts.get(key) || 0) + 1);
   }
-  if (hostname === TARGET_HOST || hostname === `www.${TARGET_HOST}`) {
-    if (options.all) {
-      callback(null, [{ address: BYPASS_IP, family: 4 }]);
-    } else {
-      callback(null, BYPASS_IP, 4);
+  return [...counts].map(([key, count]) => `${key} ×${count}`).join(', ');
+}
+
+// Retry-After is either delay-seconds or an HTTP date; null when absent
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10) * 1000;
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Errors that mean we never reached the server, so another IP may work
+const CONNECT_ERRORS = new Set(['ECONNREFUSED', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ECONNRESET']);
+
+// Tracks which IP a request connected to, and tags errors raised before
+// the connection was established with err.connectIp for failover.
+function trackConnection(req, url, viaProxy) {
+  // customLookup answers overrides synchronously, so the IP it hands out
+  // is the host's current candidate at the time the request starts.
+  // Through a proxy, connect errors concern the proxy rather than the host.
+  const state = { ip: viaProxy ? null : resolveOverride(new URL(url).hostname), connected: false };
+  req.on('socket', (socket) => {
+    // A kept-alive socket from the pool is already connected
+    if (!socket.connecting) state.connected = true;
+    else socket.once('connect', () => { state.connected = true; });
+  });
+  state.tag = (err) => {
+    const ip = viaProxy ? null : err.address || state.ip;
+    if (!state.connected && ip && (CONNECT_ERRORS.has(err.code) || err instanceof TimeoutError)) {
+      err.connectIp = ip;
+    }
+    return err;
+  };
+  return state;
+}
+
+// Retries a request against the next candidate IP of an overridden host
+// when the connection itself failed; other errors go straight to the caller.
+async function withHostFailover(url, request) {
+  const { hostname } = new URL(url);
+  const attempts = Math.max(1, candidateCount(hostname));
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (err) {
+      if (!err.connectIp || attempt >= attempts
+          || !reportConnectFailure(hostname, err.connectIp, err.code || err.message)) {
+        throw err;
+      }
     }
-  } else {
-    dns.lookup(hostname, options, callback);
   }
-};
+}
+
+// Shared keep-alive agents for direct connections, so a long novel reuses a
+// handful of TLS connections instead of doing a handshake per chapter. New
+// connections still resolve through the host overrides.
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: customLookup });
+const httpAgent = new http.Agent({ keepAlive: true, lookup: customLookup });
+
+// Connection options for a request: a proxy agent when a proxy applies,
+// otherwise a direct connection through our DNS override lookup
+function connectionOptions(parsed) {
+  const viaProxy = proxyAgentFor(parsed);
+  if (viaProxy) return { options: { agent: viaProxy.agent }, proxy: viaProxy.proxy };
+  return { options: { agent: parsed.protocol === 'https:' ? httpsAgent : httpAgent }, proxy: null };
+}
 
-const httpsAgent = new https.Agent({ lookup: customLookup });
-const httpAgent = new http.Agent({ lookup: customLookup });
+// A proxy that starts answering 403/429 is likely banned; move to the next
+function checkProxyBlocked(proxy, statusCode) {
+  if (proxy && (statusCode === 403 || statusCode === 429)) {
+    rotateProxy(proxy, `returned HTTP ${statusCode}`);
+  }
+}
 
 export async function fetchWithBypass(url) {
   const parsed = new URL(url);
@@ -48,94 +192,221 @@ export async function fetchWithBypass(url) {
   return res.text();
 }
 
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const HTML_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
 // Node's built-in fetch doesn't support the `agent` option.
 // We use undici's custom dispatcher or fallback to node:https manually.
 // Let's implement a proper fetch using node:https for DNS bypass.
-export function fetchWithBypassRaw(url) {
+//
+// options.kind picks the cache TTL (listing, detail, chapter, cover, image)
+export async function fetchWithBypassRaw(url, options = {}) {
+  const { body, contentType } = await cachedRequest(url, { ...options, accept: HTML_ACCEPT });
+  return decodeText(body, contentType);
+}
+
+// options.maxBytes aborts the download once the body grows past the cap
+export async function fetchBufferWithBypass(url, options = {}) {
+  const { body } = await cachedRequest(url, { ...options, accept: '*/*' });
+  return body;
+}
+
+// Charset from a byte order mark, then the Content-Type header, then a
+// <meta> tag near the top of the document; UTF-8 when none says otherwise.
+function detectCharset(body, contentType) {
+  if (body[0] === 0xef && body[1] === 0xbb && body[2] === 0xbf) return 'utf-8';
+  if (body[0] === 0xff && body[1] === 0xfe) return 'utf-16le';
+  if (body[0] === 0xfe && body[1] === 0xff) return 'utf-16be';
+  const fromHeader = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '')?.[1];
+  if (fromHeader) return fromHeader;
+  const head = body.toString('latin1', 0, Math.min(body.length, 4096));
+  return /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head)?.[1] || 'utf-8';
+}
+
+export function decodeText(body, contentType) {
+  const charset = detectCharset(body, contentType);
+  try {
+    return new TextDecoder(charset).decode(body);
+  } catch {
+    // Unknown label: UTF-8 is still the best guess
+    return body.toString('utf-8');
+  }
+}
+
+const gunzip = promisify(zlib.gunzip);
+const inflate = promisify(zlib.inflate);
+const inflateRaw = promisify(zlib.inflateRaw);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+// Undoes Content-Encoding. maxBytes caps the decompressed size too, so a
+// small compressed body can't expand past the limit.
+async function decodeContent(raw, encoding, maxBytes, url) {
+  const options = Number.isFinite(maxBytes) ? { maxOutputLength: maxBytes } : {};
+  try {
+    switch ((encoding || '').trim().toLowerCase()) {
+      case 'gzip':
+      case 'x-gzip':
+        return await gunzip(raw, options);
+      case 'deflate':
+        // Some servers send raw deflate without the zlib header; only that
+        // falls back, other failures (e.g. over maxBytes) are reported as is
+        return await inflate(raw, options).catch((err) => {
+          if (err.code !== 'Z_DATA_ERROR') throw err;
+          return inflateRaw(raw, options);
+        });
+      case 'br':
+        return await brotliDecompress(raw, options);
+      default:
+        return raw;
+    }
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new FetchError(`Response exceeds ${maxBytes} bytes for ${url}`, { url, permanent: true });
+    }
+    throw new NetworkError(`Could not decode ${encoding} body from ${url}: ${err.message}`, { url, cause: err });
+  }
+}
+
+// Serves fresh cache entries directly and revalidates stale ones, so only
+// new or changed resources are downloaded in full.
+// Resolves with { body, contentType }.
+async function cachedRequest(url, { kind = 'default', accept, maxBytes = Infinity }) {
+  const cached = readCache(url);
+  const fromCache = () => ({ body: cached.body, contentType: cached.meta.contentType });
+  if (cached && isFresh(cached, kind)) return fromCache();
+  if (cacheSettings().offline) {
+    throw new FetchError(`Not in cache (offline mode): ${url}`, { url, permanent: true });
+  }
+
+  const validators = cached ? conditionalHeaders(cached) : {};
+  const res = await fetchFollowingRedirects(url, { kind, accept, maxBytes, headers: validators });
+  if (res.statusCode === 304 && cached) {
+    refreshCache(url, cached);
+    return fromCache();
+  }
+  writeCache(url, kind, res.headers, res.body);
+  return { body: res.body, contentType: res.headers['content-type'] };
+}
+
+const MAX_REDIRECTS = 10;
+
+// A 403 on one of these means the novel site is refusing us, which pauses
+// the whole run. Images and covers often sit on other hosts with hotlink
+// protection; a 403 there is a plain, permanent failure of that one file.
+const SITE_PAGE_KINDS = new Set(['listing', 'detail', 'chapter']);
+
+// Every hop is a real request, so each one waits for a permit and reports
+// how it went back to the throttle
+async function fetchFollowingRedirects(url, options, redirects = 0) {
+  await acquirePermit();
+  let res;
+  try {
+    res = await withHostFailover(url, () => request(url, options));
+    releasePermit({ ok: true });
+  } catch (err) {
+    releasePermit({ status: err.status, retryAfterMs: err.retryAfterMs, blocked: err instanceof BlockedError });
+    throw err;
+  }
+  if (res.redirect) {
+    if (redirects >= MAX_REDIRECTS) {
+      throw new FetchError(`Too many redirects (more than ${MAX_REDIRECTS}) at ${url}`, { url, permanent: true });
+    }
+    // Validators belong to the original URL, not to wherever it moved
+    return fetchFollowingRedirects(res.redirect, { ...options, headers: {} }, redirects + 1);
+  }
+  return res;
+}
+
+// Resolves with { statusCode, headers, body } for 2xx and 304 responses,
+// or { redirect } with the absolute target of a 3xx. The body comes back
+// decompressed.
+function request(url, { kind, accept, maxBytes, headers = {} }) {
   return new Promise((resolve, reject) => {
     const parsed = new URL(url);
     const mod = parsed.protocol === 'https:' ? https : http;
     let settled = false;
     const fail = (err) => { if (!settled) { settled = true; reject(err); } };
 
+    const connection = connectionOptions(parsed);
+
     const req = mod.request(url, {
-      lookup: customLookup,
+      ...connection.options,
       timeout: 30000,
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'User-Agent': USER_AGENT,
+        'Accept': accept,
         'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+        ...headers,
       },
     }, (res) => {
       // Handle redirects
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        const redirectUrl = new URL(res.headers.location, url).href;
-        fetchWithBypassRaw(redirectUrl).then(resolve).catch(fail);
+        res.resume();
+        settled = true;
+        resolve({ redirect: new URL(res.headers.location, url).href });
         return;
       }
 
-      if (res.statusCode < 200 || res.statusCode >= 300) {
-        fail(new Error(`HTTP ${res.statusCode} for ${url}`));
+      if (res.statusCode === 304) {
+        res.resume();
+        settled = true;
+        resolve({ statusCode: 304, headers: res.headers, body: null });
         return;
       }
 
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => { if (!settled) { settled = true; resolve(Buffer.concat(chunks).toString('utf-8')); } });
-      res.on('error', fail);
-    });
-
-    req.on('error', fail);
-    req.on('timeout', () => { req.destroy(); fail(new Error(`Timeout for ${url}`)); });
-    req.on('socket', (socket) => {
-      if (!socket._hasFailListener) {
-        socket._hasFailListener = true;
-        socket.on('error', (err) => { fail(err); });
-      }
-    });
-    req.end();
-  });
-}
-
-export function fetchBufferWithBypass(url) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const mod = parsed.protocol === 'https:' ? https : http;
-    let settled = false;
-    const fail = (err) => { if (!settled) { settled = true; reject(err); } };
-
-    const req = mod.request(url, {
-      lookup: customLookup,
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': '*/*',
-      },
-    }, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        const redirectUrl = new URL(res.headers.location, url).href;
-        fetchBufferWithBypass(redirectUrl).then(resolve).catch(fail);
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        checkProxyBlocked(connection.proxy, res.statusCode);
+        fail(res.statusCode === 403 && SITE_PAGE_KINDS.has(kind)
+          ? new BlockedError(`HTTP 403 for ${url}`, { url, status: 403, headers: res.headers })
+          : new HttpError(url, res.statusCode, res.headers));
         return;
       }
 
-      if (res.statusCode < 200 || res.statusCode >= 300) {
-        fail(new Error(`HTTP ${res.statusCode} for ${url}`));
+      const tooLarge = () => {
+        req.destroy();
+        fail(new FetchError(`Response exceeds ${maxBytes} bytes for ${url}`, { url, permanent: true }));
+      };
+      if (Number(res.headers['content-length']) > maxBytes) {
+        tooLarge();
         return;
       }
 
       const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => { if (!settled) { settled = true; resolve(Buffer.concat(chunks)); } });
-      res.on('error', fail);
+      let received = 0;
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          tooLarge();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        if (settled) return;
+        decodeContent(Buffer.concat(chunks), res.headers['content-encoding'], maxBytes, url)
+          .then((body) => {
+            if (settled) return;
+            settled = true;
+            resolve({ statusCode: res.statusCode, headers: res.headers, body });
+          })
+          .catch(fail);
+      });
+      res.on('error', (err) => fail(toNetworkError(err, url)));
     });
 
-    req.on('error', fail);
-    req.on('timeout', () => { req.destroy(); fail(new Error(`Timeout for ${url}`)); });
+    const tracker = trackConnection(req, url, Boolean(connection.proxy));
+    req.on('error', (err) => {
+      if (err.proxyStatus) checkProxyBlocked(connection.proxy, err.proxyStatus);
+      fail(tracker.tag(toNetworkError(err, url)));
+    });
+    req.on('timeout', () => { req.destroy(); fail(tracker.tag(new TimeoutError(url))); });
+    // Keep-alive sockets outlive the request, so the listener goes with it
     req.on('socket', (socket) => {
-      if (!socket._hasFailListener) {
-        socket._hasFailListener = true;
-        socket.on('error', (err) => { fail(err); });
-      }
+      const onSocketError = (err) => { fail(tracker.tag(toNetworkError(err, url))); };
+      socket.on('error', onSocketError);
+      req.once('close', () => socket.off('error', onSocketError));
     });
     req.end();
   });
@@ -150,15 +421,19 @@ export async function retry(fn, retries = 5, delayMs = 3000) {
     try {
       return await fn();
     } catch (err) {
-      if (i === retries) throw err;
-      const is429 = err.message.includes('429');
+      // A 404 or missing markup won't change on the next attempt, and a
+      // block pauses the whole run, so hammering it here only makes it worse
+      if (i === retries || err.permanent || err instanceof BlockedError) throw err;
+      const is429 = err.status === 429;
       const MAX_BACKOFF = 30000;
-      const backoff = Math.min(
-        is429
-          ? delayMs * Math.pow(2, i) // Exponential backoff for rate limits
-          : delayMs * (i + 1),
-        MAX_BACKOFF
-      );
+      const backoff = err.retryAfterMs
+        ? Math.min(err.retryAfterMs, MAX_RETRY_AFTER_MS) // The server said how long
+        : Math.min(
+          is429
+            ? delayMs * Math.pow(2, i) // Exponential backoff for rate limits
+            : delayMs * (i + 1),
+          MAX_BACKOFF
+        );
       if (is429 && i === 0) {
         // Only log once for 429s to reduce noise
         console.error(`  Rate limited, backing off...`);
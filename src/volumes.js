@@ -0,0 +1,92 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { sanitizeFilename } from './utils.js';
+
+// Chapter ranges (--from/--to) and multi-volume output (--split-every).
+// Chapter numbers are 1-based positions in the source's chapter list.
+//
+// Volumes are counted from the start of the novel, not from --from, so
+// "Vol 3" always holds the same chapters for a given --split-every; a range
+// that starts or ends mid-volume just makes that volume shorter. Each part
+// is saved as its own book:
+//
+//   Title.epub                       whole novel
+//   Title (101-250).epub             --from 101 --to 250
+//   Title - Vol 1 (1-500).epub       --split-every 500, with series metadata
+
+// Parses a --from/--to/--split-every value; null when not given
+export function parseChapterNumber(value, flag) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${flag} must be a positive integer (got "${value}")`);
+  }
+  return number;
+}
+
+export function parseRangeArgs({ from, to, splitEvery }) {
+  const range = {
+    from: parseChapterNumber(from, '--from'),
+    to: parseChapterNumber(to, '--to'),
+    splitEvery: parseChapterNumber(splitEvery, '--split-every'),
+  };
+  if (range.from && range.to && range.from > range.to) {
+    throw new Error(`--from ${range.from} is after --to ${range.to}`);
+  }
+  return range;
+}
+
+// Splits chapters 1..total into the parts to build: [{ start, end, volume }],
+// inclusive and 1-based; volume is null unless splitting.
+export function resolveParts(total, { from = null, to = null, splitEvery = null } = {}) {
+  const start = from || 1;
+  const end = Math.min(to || total, total);
+  if (start > total) {
+    throw new Error(`--from ${from} is past the last chapter (${total} chapters)`);
+  }
+  if (!splitEvery) return [{ start, end, volume: null }];
+
+  const parts = [];
+  for (let volume = Math.ceil(start / splitEvery); (volume - 1) * splitEvery < end; volume++) {
+    parts.push({
+      start: Math.max(start, (volume - 1) * splitEvery + 1),
+      end: Math.min(end, volume * splitEvery),
+      volume,
+    });
+  }
+  return parts;
+}
+
+// Book metadata for one part. `partKey` keeps each part's identifier
+// distinct from the whole novel's; `series` puts volumes in order.
+export function partMetadata(metadata, part, total) {
+  const range = `${part.start}-${part.end}`;
+  if (part.volume) {
+    return {
+      ...metadata,
+      title: `${metadata.title} - Vol ${part.volume} (${range})`,
+      series: { name: metadata.title, index: part.volume },
+      partKey: `vol-${part.volume}`,
+    };
+  }
+  if (part.start === 1 && part.end === total) return metadata;
+  return { ...metadata, title: `${metadata.title} (${range})`, partKey: `chapters-${range}` };
+}
+
+// Path of the book already saved for this part in the format with this
+// extension, or null. A novel's last volume grows as chapters come out, so a
+// volume is found whatever chapter range its file was saved with.
+export function existingPartFile(outputDir, metadata, extension = '.epub') {
+  const exact = path.join(outputDir, `${sanitizeFilename(metadata.title)}${extension}`);
+  if (fs.existsSync(exact)) return exact;
+  if (!metadata.series || !fs.existsSync(outputDir)) return null;
+
+  const prefix = sanitizeFilename(`${metadata.series.name} - Vol ${metadata.series.index} (`);
+  const match = fs.readdirSync(outputDir).find(f => f.startsWith(prefix) && f.endsWith(`)${extension}`));
+  return match ? path.join(outputDir, match) : null;
+}
+
+// "chapters 1-500" / "chapters 1001-1500 (Vol 3)" for progress output
+export function describePart(part) {
+  return `chapters ${part.start}-${part.end}${part.volume ? ` (Vol ${part.volume})` : ''}`;
+}
@@ -1,16 +1,34 @@
 import { parentPort, workerData } from 'node:worker_threads';
-import { fetchNovelDetail, fetchChapterContent } from './scraper.js';
-import { buildEpub } from './epub-builder.js';
-import { delay } from './utils.js';
+import { getSource, checkChapterCount, bookMetadata } from './sources/index.js';
+import { loadCleanupRules, applyCleanup, summarizeCleanup, printCleanupReport } from './cleanup.js';
+import { configureProxies } from './proxy.js';
+import { configureHosts } from './host-resolver.js';
+import { configureCache } from './http-cache.js';
+import { configureBookStyle } from './book-style.js';
+import { usePermitPort } from './rate-limiter.js';
+import { openCheckpoint } from './checkpoint.js';
+import { parseFormats, missingFormats, writeFormats } from './formats/index.js';
+import { checkIntegrity, countIssues, summarizeIntegrity } from './integrity.js';
+import { loadUpdatePlan, combineUpdates } from './book-update.js';
+import { resolveParts, partMetadata, existingPartFile } from './volumes.js';
+import { delay, describeFailures, ParseError } from './utils.js';
 import pLimit from 'p-limit';
 
-const { delayMs, concurrency, maxChapters, outputDir } = workerData;
+const { delayMs, concurrency, maxChapters, strictCount, outputDir, splitEvery, maxIssues } = workerData;
+const source = getSource(workerData.source);
+configureHosts();
+configureProxies(workerData.proxies);
+configureCache(workerData.cache);
+configureBookStyle(workerData.bookStyle);
+usePermitPort(workerData.permitPort);
+const formats = parseFormats(workerData.formats);
+const cleanupRules = loadCleanupRules({ presets: workerData.cleanupPresets, rulesFile: workerData.rulesFile });
 
 parentPort.on('message', async (msg) => {
   if (msg.type === 'download') {
-    const { slug, title } = msg;
+    const { slug, title, chapterCount } = msg;
     try {
-      const result = await downloadNovel(slug, title);
+      const result = await downloadNovel(slug, title, chapterCount);
       parentPort.postMessage({ type: 'result', slug, ...result });
     } catch (err) {
       parentPort.postMessage({ type: 'result', slug, success: false, error: err.message });
@@ -20,10 +38,13 @@ parentPort.on('message', async (msg) => {
   }
 });
 
-async function downloadNovel(slug, listTitle) {
-  const novel = await fetchNovelDetail(slug);
-
-  if (!novel.title) {
+async function downloadNovel(slug, listTitle, advertisedChapters = 0) {
+  let novel;
+  try {
+    novel = await source.fetchNovelDetail(slug);
+  } catch (err) {
+    // No such page, or one without a novel on it
+    if (!(err instanceof ParseError || err.status === 404)) throw err;
     return { success: false, error: `Could not find novel: ${slug}` };
   }
 
@@ -31,36 +52,118 @@ async function downloadNovel(slug, listTitle) {
     return { success: false, error: `No chapters found for "${novel.title}"` };
   }
 
-  if (maxChapters && novel.chapters.length > maxChapters) {
+  // Long novels are split into volumes rather than skipped when --split-every is set
+  if (maxChapters && novel.chapters.length > maxChapters && !splitEvery) {
     return { success: false, error: `${novel.chapters.length} chapters exceeds limit of ${maxChapters}`, skipped: true };
   }
 
+  // A listing's count when the novel came from one, else the detail page's
+  const countCheck = checkChapterCount(novel.chapters.length, advertisedChapters || novel.chapterCount);
+  if (countCheck?.missing && strictCount) {
+    return { success: false, error: countCheck.message };
+  }
+  const warning = countCheck ? countCheck.message : null;
+
+  // Resume from chapters an interrupted earlier run saved
+  const checkpoint = openCheckpoint({ source: source.name, slug, fresh: workerData.fresh });
+  const parts = resolveParts(novel.chapters.length, { splitEvery });
+  const results = [];
+  for (const part of parts) {
+    results.push(await downloadPart(slug, novel, part, checkpoint));
+  }
+  // Keep the downloaded chapters of a rejected or previewed book, so a rerun
+  // is quick
+  const rejected = results.find(r => r.rejected);
+  if (rejected) {
+    return { success: false, error: `integrity check failed: ${rejected.issues} issues (${rejected.summary}), over --max-issues ${maxIssues}` };
+  }
+  if (results.some(r => r.previewed)) {
+    return { success: false, error: 'dry run, not saved', skipped: true };
+  }
+  checkpoint.remove();
+
+  if (results.every(r => r.skipped)) {
+    return { success: false, error: 'all volumes already exist', skipped: true };
+  }
+
+  const failedErrors = results.flatMap(r => r.failedErrors || []);
+  const cleanupReport = {};
+  for (const r of results) {
+    for (const [name, hits] of Object.entries(r.cleanupReport || {})) {
+      (cleanupReport[name] ||= []).push(...hits);
+    }
+  }
+  const integrity = { gaps: [], outOfOrder: [], duplicates: [], short: [], long: [] };
+  for (const r of results) {
+    for (const key of Object.keys(integrity)) integrity[key].push(...(r.integrity?.[key] || []));
+  }
+
+  return {
+    success: true,
+    title: novel.title,
+    totalChapters: parts[parts.length - 1].end - parts[0].start + 1,
+    volumes: parts.length > 1 ? parts.length : null,
+    failedChapters: failedErrors.length,
+    failureCauses: failedErrors.length > 0 ? describeFailures(failedErrors) : null,
+    warning,
+    cleanup: summarizeCleanup(cleanupReport),
+    issues: countIssues(integrity),
+    integrity: summarizeIntegrity(integrity),
+    update: combineUpdates(results),
+  };
+}
+
+// Downloads and builds one book: the whole novel or one volume
+async function downloadPart(slug, novel, part, checkpoint) {
+  const metadata = partMetadata(bookMetadata(source, slug, novel), part, novel.chapters.length);
+  const chapterList = novel.chapters.slice(part.start - 1, part.end);
+
+  // Only formats without a file are written, unless the book is being updated
+  const plan = workerData.update ? await loadUpdatePlan(existingPartFile(outputDir, metadata), chapterList) : null;
+  let pending = missingFormats(formats, outputDir, metadata);
+  if (pending.length === 0 && !plan) return { skipped: true };
+  if (plan?.upToDate && pending.length === 0) {
+    plan.dispose();
+    return { update: plan };
+  }
+  if (plan && !plan.upToDate) pending = formats;
+
+  // Reuse the chapters saved earlier and the ones the existing book has
+  const chapters = checkpoint.load(chapterList);
+  plan?.chapters.forEach((ch, i) => {
+    if (ch && !chapters[i]) chapters[i] = ch;
+  });
+
   // Download chapters with concurrency limit
-  const chapters = new Array(novel.chapters.length);
+  // Last error per chapter, so retries can skip permanent failures
+  const failures = new Array(chapterList.length);
   const limit = pLimit(concurrency);
-  let completed = 0;
+  let completed = chapters.filter(Boolean).length;
 
-  const tasks = novel.chapters.map((ch, i) =>
+  const tasks = chapterList.map((ch, i) =>
     limit(async () => {
+      if (chapters[i]) return;
       if (i > 0) await delay(delayMs);
       try {
-        const content = await fetchChapterContent(ch.url);
+        const content = await source.fetchChapterContent(ch.url);
         if (!content.content || content.content.trim() === '') {
           throw new Error('Empty content');
         }
-        chapters[i] = { title: content.title || ch.title, content: content.content };
-      } catch {
+        chapters[i] = { url: ch.url, title: content.title || ch.title, content: content.content };
+        checkpoint.save(ch.url, chapters[i]);
+      } catch (err) {
         chapters[i] = null;
+        failures[i] = err;
       }
       completed++;
       // Report progress periodically
-      if (completed % 20 === 0 || completed === novel.chapters.length) {
+      if (completed % 20 === 0 || completed === chapterList.length) {
         parentPort.postMessage({
           type: 'progress',
           slug,
-          title: novel.title,
+          title: metadata.title,
           completed,
-          total: novel.chapters.length,
+          total: chapterList.length,
         });
       }
     })
@@ -70,7 +173,9 @@ async function downloadNovel(slug, listTitle) {
 
   // Retry failed chapters
   for (let pass = 1; pass <= 2; pass++) {
-    const failedIndices = chapters.map((ch, i) => (ch === null ? i : -1)).filter(i => i !== -1);
+    const failedIndices = chapters
+      .map((ch, i) => (ch === null && !failures[i]?.permanent ? i : -1))
+      .filter(i => i !== -1);
     if (failedIndices.length === 0) break;
 
     await delay(delayMs * 2);
@@ -78,13 +183,15 @@ async function downloadNovel(slug, listTitle) {
     const retryTasks = failedIndices.map(i =>
       limit(async () => {
         await delay(delayMs);
-        const ch = novel.chapters[i];
+        const ch = chapterList[i];
         try {
-          const content = await fetchChapterContent(ch.url);
+          const content = await source.fetchChapterContent(ch.url);
           if (!content.content || content.content.trim() === '') throw new Error('Empty');
-          chapters[i] = { title: content.title || ch.title, content: content.content };
-        } catch {
+          chapters[i] = { url: ch.url, title: content.title || ch.title, content: content.content };
+          checkpoint.save(ch.url, chapters[i]);
+        } catch (err) {
           chapters[i] = null;
+          failures[i] = err;
         }
       })
     );
@@ -93,34 +200,47 @@ async function downloadNovel(slug, listTitle) {
   }
 
   // Fill failures with placeholders
-  let failedCount = 0;
+  const failedErrors = [];
   for (let i = 0; i < chapters.length; i++) {
     if (chapters[i] === null) {
-      failedCount++;
+      failedErrors.push(failures[i]);
       chapters[i] = {
-        title: novel.chapters[i].title || `Chapter ${i + 1}`,
+        url: chapterList[i].url,
+        title: chapterList[i].title || `Chapter ${part.start + i}`,
         content: `<p>[Failed to fetch after retries]</p>`,
       };
     }
   }
 
-  await buildEpub(
-    {
-      title: novel.title,
-      author: novel.author,
-      genres: novel.genres,
-      description: novel.description,
-      coverUrl: novel.coverUrl,
-    },
-    chapters,
-    outputDir
-  );
+  const cleanupReport = applyCleanup(chapters, cleanupRules, { dryRun: workerData.cleanupDryRun });
+  if (workerData.cleanupDryRun) {
+    console.log(`\n  [${metadata.title}]`);
+    printCleanupReport(cleanupReport, chapters, true);
+  }
+
+  // Skipped, repeated and cut-off chapters
+  const integrity = checkIntegrity(chapters);
+  const issues = countIssues(integrity);
+  // A preview only: writing the book would make the real run skip it
+  if (workerData.cleanupDryRun) {
+    plan?.dispose();
+    return { previewed: true };
+  }
+  if (maxIssues !== null && issues > maxIssues) {
+    plan?.dispose();
+    return { rejected: true, issues, summary: summarizeIntegrity(integrity) };
+  }
+
+  await writeFormats(pending, metadata, chapters, outputDir);
+  plan?.dispose();
 
   return {
-    success: true,
-    title: novel.title,
-    totalChapters: novel.chapters.length,
-    failedChapters: failedCount,
+    failedErrors,
+    cleanupReport,
+    integrity,
+    update: plan,
+    // In update mode a volume that didn't exist yet is all new chapters
+    created: workerData.update && !plan ? chapterList.length : 0,
   };
 }
 
@@ -1,6 +1,6 @@
 import fs from 'node:fs';
 import path from 'node:path';
-import JSZip from 'jszip';
+import { readEpub } from './src/epub-reader.js';
 
 const DEFAULT_INPUT_DIR = 'output';
 const DEFAULT_OUTPUT_DIR = 'docs/epubs';
@@ -14,41 +14,15 @@ function slugify(title) {
 
 async function extractMetadata(epubPath) {
   try {
-    const buf = fs.readFileSync(epubPath);
-    const zip = await JSZip.loadAsync(buf);
-
-  // Find the OPF file
-  let opfContent = null;
-  for (const name of Object.keys(zip.files)) {
-    if (name.endsWith('.opf')) {
-      opfContent = await zip.files[name].async('text');
-      break;
-    }
-  }
-
-  if (!opfContent) return null;
-
-  function decodeXml(str) {
-    return str
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .replace(/&#39;/g, "'")
-      .replace(/&apos;/g, "'");
-  }
-
-  const rawTitle = opfContent.match(/<dc:title>(.*?)<\/dc:title>/)?.[1] || path.basename(epubPath, '.epub');
-  const rawAuthor = opfContent.match(/<dc:creator[^>]*>(.*?)<\/dc:creator>/)?.[1] || 'Unknown Author';
-  const title = decodeXml(rawTitle);
-  const author = decodeXml(rawAuthor);
-
-  // Count chapter files (xhtml files excluding toc/nav)
-  const chapterFiles = Object.keys(zip.files).filter(
-    n => n.endsWith('.xhtml') && !n.includes('toc') && !n.includes('nav')
-  );
-
-  return { title, author, chapters: chapterFiles.length };
+    const { metadata, chapters } = await readEpub(epubPath, { extractImages: false });
+    return {
+      title: metadata.title || path.basename(epubPath, '.epub'),
+      author: metadata.author || 'Unknown Author',
+      identifier: metadata.identifier || null,
+      language: metadata.language || null,
+      series: metadata.series,
+      chapters: chapters.length,
+    };
   } catch (err) {
     console.error(`  Failed to read metadata from ${epubPath}: ${err.message}`);
     return null;
@@ -71,20 +45,29 @@ export async function syncLibrary(inputDir = DEFAULT_INPUT_DIR, outputDir = DEFA
   }
   const existingSlugs = new Set(existingManifest.map(e => e.slug));
 
-  const files = fs.readdirSync(inputDir).filter(f => f.endsWith('.epub'));
+  // Tracked books whose output copy changed since (e.g. rebuilt by --update)
+  function isOutdated(slug, srcPath) {
+    const entry = existingManifest.find(e => e.slug === slug);
+    const destPath = path.join(outputDir, entry.file);
+    return !fs.existsSync(destPath) || fs.statSync(srcPath).mtimeMs > fs.statSync(destPath).mtimeMs;
+  }
+
+  // KEPUBs are a Kobo-only copy of a book the library already gets as EPUB
+  const files = fs.readdirSync(inputDir).filter(f => f.endsWith('.epub') && !f.endsWith('.kepub.epub'));
   if (files.length === 0) {
     console.log('No EPUBs found in ' + inputDir);
     return existingManifest;
   }
 
   let newCount = 0;
+  let updatedCount = 0;
 
   for (const file of files) {
     const srcPath = path.join(inputDir, file);
 
     // Skip metadata extraction for files already tracked by slug
     const guessedSlug = slugify(path.basename(file, '.epub'));
-    if (existingSlugs.has(guessedSlug)) {
+    if (existingSlugs.has(guessedSlug) && !isOutdated(guessedSlug, srcPath)) {
       continue;
     }
 
@@ -96,8 +79,8 @@ export async function syncLibrary(inputDir = DEFAULT_INPUT_DIR, outputDir = DEFA
 
     const slug = slugify(meta.title);
 
-    // Skip if already in manifest
-    if (existingSlugs.has(slug)) {
+    // Skip if already in manifest, unless the book has been rebuilt since
+    if (existingSlugs.has(slug) && !isOutdated(slug, srcPath)) {
       continue;
     }
 
@@ -107,14 +90,28 @@ export async function syncLibrary(inputDir = DEFAULT_INPUT_DIR, outputDir = DEFA
 
     fs.copyFileSync(srcPath, destPath);
 
-    existingManifest.push({
+    const entry = {
       slug,
       file: destFile,
       title: meta.title,
       author: meta.author,
       chapters: meta.chapters,
       size: stat.size,
-    });
+      identifier: meta.identifier,
+      language: meta.language,
+      // Volumes of a split novel: { name, index }
+      series: meta.series,
+    };
+    const index = existingManifest.findIndex(e => e.slug === slug);
+    if (index !== -1) {
+      const previous = existingManifest[index];
+      existingManifest[index] = { ...previous, ...entry };
+      updatedCount++;
+      console.log(`  ${meta.title} → ${destFile} (updated, ${previous.chapters} → ${meta.chapters} chapters)`);
+      continue;
+    }
+
+    existingManifest.push(entry);
     existingSlugs.add(slug);
     newCount++;
 
@@ -122,7 +119,7 @@ export async function syncLibrary(inputDir = DEFAULT_INPUT_DIR, outputDir = DEFA
   }
 
   fs.writeFileSync(manifestPath, JSON.stringify(existingManifest, null, 2));
-  console.log(`\nManifest written: ${manifestPath} (${existingManifest.length} total, ${newCount} new)`);
+  console.log(`\nManifest written: ${manifestPath} (${existingManifest.length} total, ${newCount} new, ${updatedCount} updated)`);
 
   return existingManifest;
 }
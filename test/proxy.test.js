@@ -0,0 +1,171 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import { configureProxies, currentProxy } from '../src/proxy.js';
+import { configureCache } from '../src/http-cache.js';
+import { fetchWithBypassRaw, HttpError } from '../src/utils.js';
+
+// Local stand-ins for an origin server and the two proxy kinds, so the
+// tunnels are exercised end to end without any network
+
+const servers = [];
+const sockets = new Set();
+
+function track(server) {
+  servers.push(server);
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  return server;
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+// Answers /status/<code> with that code and anything else with "hello"
+function createOrigin() {
+  return track(http.createServer((req, res) => {
+    const status = Number(req.url.match(/^\/status\/(\d+)/)?.[1]) || 200;
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(status === 200 ? 'hello' : `status ${status}`);
+  }));
+}
+
+function tunnel(client, host, port, onOpen) {
+  const upstream = net.connect({ host, port }, () => {
+    onOpen();
+    upstream.pipe(client);
+    client.pipe(upstream);
+  });
+  sockets.add(upstream);
+  upstream.on('close', () => sockets.delete(upstream));
+  upstream.on('error', () => client.destroy());
+  client.on('error', () => upstream.destroy());
+}
+
+// HTTP CONNECT; `seen` collects the requested authorities
+function createConnectProxy(seen) {
+  return track(net.createServer((client) => {
+    let head = '';
+    const onData = (chunk) => {
+      head += chunk.toString('latin1');
+      const end = head.indexOf('\r\n\r\n');
+      if (end === -1) return;
+      client.off('data', onData);
+      const authority = head.split('\r\n')[0].split(' ')[1];
+      seen.push(authority);
+      const [host, port] = authority.split(':');
+      tunnel(client, host, Number(port), () => client.write('HTTP/1.1 200 Connection Established\r\n\r\n'));
+    };
+    client.on('data', onData);
+  }));
+}
+
+// SOCKS5 without auth, IPv4 and domain-name targets
+function createSocksProxy(seen) {
+  return track(net.createServer((client) => {
+    let buffer = Buffer.alloc(0);
+    let greeted = false;
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (!greeted) {
+        if (buffer.length < 2 || buffer.length < 2 + buffer[1]) return;
+        buffer = buffer.subarray(2 + buffer[1]);
+        greeted = true;
+        client.write(Buffer.from([0x05, 0x00]));
+      }
+      if (buffer.length < 5) return;
+      let host;
+      let offset;
+      if (buffer[3] === 0x01) {
+        host = [...buffer.subarray(4, 8)].join('.');
+        offset = 8;
+      } else {
+        host = buffer.subarray(5, 5 + buffer[4]).toString();
+        offset = 5 + buffer[4];
+      }
+      if (buffer.length < offset + 2) return;
+      client.off('data', onData);
+      const port = buffer.readUInt16BE(offset);
+      seen.push(`${host}:${port}`);
+      tunnel(client, host, port, () => client.write(Buffer.from([0x05, 0x00, 0x00, 0x01, 0, 0, 0, 0, 0, 0])));
+    };
+    client.on('data', onData);
+  }));
+}
+
+let originPort;
+let connectPort;
+let otherConnectPort;
+let socksPort;
+const connectSeen = [];
+const otherConnectSeen = [];
+const socksSeen = [];
+
+before(async () => {
+  configureCache({ enabled: false });
+  originPort = await listen(createOrigin());
+  connectPort = await listen(createConnectProxy(connectSeen));
+  otherConnectPort = await listen(createConnectProxy(otherConnectSeen));
+  socksPort = await listen(createSocksProxy(socksSeen));
+});
+
+after(() => {
+  for (const socket of sockets) socket.destroy();
+  for (const server of servers) server.close();
+});
+
+beforeEach(() => {
+  for (const seen of [connectSeen, otherConnectSeen, socksSeen]) seen.length = 0;
+});
+
+test('requests go through an HTTP CONNECT proxy', async () => {
+  configureProxies([`http://127.0.0.1:${connectPort}`], {});
+  const body = await fetchWithBypassRaw(`http://127.0.0.1:${originPort}/page`);
+  assert.equal(body, 'hello');
+  assert.deepEqual(connectSeen, [`127.0.0.1:${originPort}`]);
+});
+
+test('requests go through a SOCKS5 proxy', async () => {
+  configureProxies([`socks5://127.0.0.1:${socksPort}`], {});
+  const body = await fetchWithBypassRaw(`http://127.0.0.1:${originPort}/page`);
+  assert.equal(body, 'hello');
+  assert.deepEqual(socksSeen, [`127.0.0.1:${originPort}`]);
+});
+
+test('proxies come from the environment when none are given', async () => {
+  const labels = configureProxies([], { HTTPS_PROXY: `http://127.0.0.1:${connectPort}` });
+  assert.deepEqual(labels, [`http://127.0.0.1:${connectPort}`]);
+  assert.equal(await fetchWithBypassRaw(`http://127.0.0.1:${originPort}/page`), 'hello');
+  assert.equal(connectSeen.length, 1);
+});
+
+test('NO_PROXY hosts connect directly', async () => {
+  configureProxies([`http://127.0.0.1:${connectPort}`], { NO_PROXY: '127.0.0.1' });
+  assert.equal(await fetchWithBypassRaw(`http://127.0.0.1:${originPort}/page`), 'hello');
+  assert.equal(connectSeen.length, 0);
+});
+
+test('a bad proxy URL in the environment is rejected when configuring', () => {
+  assert.throws(() => configureProxies([], { HTTPS_PROXY: 'ftp://proxy.local' }), /Unsupported proxy protocol/);
+});
+
+for (const status of [403, 429]) {
+  test(`a ${status} rotates to the next proxy`, async () => {
+    configureProxies([`http://127.0.0.1:${connectPort}`, `http://127.0.0.1:${otherConnectPort}`], {});
+    await assert.rejects(
+      fetchWithBypassRaw(`http://127.0.0.1:${originPort}/status/${status}`),
+      (err) => err instanceof HttpError && err.status === status
+    );
+    assert.equal(currentProxy().port, otherConnectPort);
+
+    assert.equal(await fetchWithBypassRaw(`http://127.0.0.1:${originPort}/page`), 'hello');
+    assert.equal(connectSeen.length, 1);
+    assert.equal(otherConnectSeen.length, 1);
+  });
+}